@@ -1,5 +1,27 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { ACCESS_TOKEN_TYPE } = require('../utils/tokens');
+
+// Load the user a decoded token belongs to. Tokens issued before the user's
+// last password change are treated as revoked.
+const findTokenUser = async (decoded) => {
+  const result = await query(
+    'SELECT id, username, email, name, email_verified, password_changed_at FROM users WHERE id = $1',
+    [decoded.userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { user: null, revoked: false };
+  }
+
+  const { password_changed_at, ...user } = result.rows[0];
+
+  if (password_changed_at && decoded.iat < Math.floor(password_changed_at.getTime() / 1000)) {
+    return { user: null, revoked: true };
+  }
+
+  return { user, revoked: false };
+};
 
 // Verify JWT token and attach user to request
 const authenticate = async (req, res, next) => {
@@ -20,6 +42,11 @@ const authenticate = async (req, res, next) => {
     let decoded;
     try {
       decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Only access tokens authenticate requests (not e.g. 2FA challenges)
+      if (decoded.type !== ACCESS_TOKEN_TYPE) {
+        throw new Error('Not an access token');
+      }
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         return res.status(401).json({
@@ -33,13 +60,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Check if user still exists
-    const result = await query(
-      'SELECT id, username, email, name FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // Check if user still exists and the token has not been revoked
+    const { user, revoked } = await findTokenUser(decoded);
+
+    if (revoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please login again.'
+      });
+    }
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'User no longer exists.'
@@ -47,7 +78,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Attach user to request
-    req.user = result.rows[0];
+    req.user = user;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -72,12 +103,11 @@ const optionalAuth = async (req, res, next) => {
     
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const result = await query(
-        'SELECT id, username, email, name FROM users WHERE id = $1',
-        [decoded.userId]
-      );
+      const { user } = decoded.type === ACCESS_TOKEN_TYPE
+        ? await findTokenUser(decoded)
+        : { user: null };
 
-      req.user = result.rows.length > 0 ? result.rows[0] : null;
+      req.user = user;
     } catch (error) {
       req.user = null;
     }
@@ -90,7 +120,31 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Browsers' EventSource can't set headers, so streaming endpoints also take
+// the access token as ?access_token=. Use before authenticate.
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Require a confirmed email address. Only enforced when
+// REQUIRE_VERIFIED_EMAIL_FOR_MESSAGES is "true"; use after authenticate.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_MESSAGES !== 'true' || req.user.email_verified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address first.'
+  });
+};
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  acceptQueryToken,
+  requireVerifiedEmail
 };
\ No newline at end of file
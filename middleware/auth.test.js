@@ -0,0 +1,87 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { authenticate, optionalAuth } = require('./auth');
+
+const USER = { id: 'u1', username: 'ada', email: 'ada@example.com', name: 'Ada', email_verified: true };
+
+// An access token issued at `iat` (seconds)
+const tokenAt = (iat, payload = {}) =>
+  jwt.sign({ userId: 'u1', type: 'access', iat, ...payload }, 'test-secret');
+
+const run = async (middleware, token) => {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = {
+    status: jest.fn(function status() { return this; }),
+    json: jest.fn()
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+const passwordChangedAt = (seconds) => {
+  query.mockResolvedValue({
+    rows: [{ ...USER, password_changed_at: seconds === null ? null : new Date(seconds * 1000) }]
+  });
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+describe('authenticate', () => {
+  it('attaches the user for a valid access token', async () => {
+    passwordChangedAt(null);
+    const { req, next } = await run(authenticate, tokenAt(now()));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual(USER);
+  });
+
+  it('rejects tokens issued before the last password change', async () => {
+    passwordChangedAt(now() - 10);
+    const { res, next } = await run(authenticate, tokenAt(now() - 60));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].message).toMatch(/revoked/);
+  });
+
+  it('accepts tokens issued after the last password change', async () => {
+    passwordChangedAt(now() - 60);
+    const { next } = await run(authenticate, tokenAt(now() - 10));
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects tokens that are not access tokens', async () => {
+    const { res, next } = await run(authenticate, tokenAt(now(), { type: '2fa_challenge' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests without a token', async () => {
+    const { res, next } = await run(authenticate);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('optionalAuth', () => {
+  it('treats revoked tokens as anonymous', async () => {
+    passwordChangedAt(now() - 10);
+    const { req, next } = await run(optionalAuth, tokenAt(now() - 60));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeNull();
+  });
+});
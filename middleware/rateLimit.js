@@ -0,0 +1,270 @@
+const { query } = require('../config/database');
+
+// In-memory store, used by default. Counts are per instance, so when the API
+// runs on several instances (e.g. as the Netlify function) use
+// RATE_LIMIT_STORE=postgres or plug in another shared store with setStore().
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // Drop expired entries once the map grows, so memory stays bounded
+  sweep() {
+    if (this.entries.size < 10000) return;
+
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.sweep();
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Increase a counter, starting a new window of ttlMs when none is active
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      this.sweep();
+      entry = { value: 0, expiresAt: now + ttlMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Shared store in the rate_limits table. increment() is a single upsert, so
+// concurrent requests on different instances never lose a count.
+class PostgresStore {
+  constructor() {
+    this.lastPrunedAt = 0;
+  }
+
+  async prune() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = Date.now();
+
+    await query('DELETE FROM rate_limits WHERE expires_at <= NOW()');
+  }
+
+  async get(key) {
+    const result = await query(
+      'SELECT value FROM rate_limits WHERE key = $1 AND expires_at > NOW()',
+      [key]
+    );
+    return result.rows.length > 0 ? result.rows[0].value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.prune();
+    await query(
+      `INSERT INTO rate_limits (key, value, expires_at)
+       VALUES ($1, $2::jsonb, NOW() + make_interval(secs => $3))
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at`,
+      [key, JSON.stringify(value), ttlMs / 1000]
+    );
+  }
+
+  async increment(key, ttlMs) {
+    await this.prune();
+    const result = await query(
+      `INSERT INTO rate_limits (key, count, expires_at)
+       VALUES ($1, 1, NOW() + make_interval(secs => $2))
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.expires_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+         expires_at = CASE WHEN rate_limits.expires_at <= NOW() THEN EXCLUDED.expires_at
+                           ELSE rate_limits.expires_at END
+       RETURNING count, expires_at`,
+      [key, ttlMs / 1000]
+    );
+    const { count, expires_at } = result.rows[0];
+    return { count, resetAt: new Date(expires_at).getTime() };
+  }
+
+  async delete(key) {
+    await query('DELETE FROM rate_limits WHERE key = $1', [key]);
+  }
+}
+
+const stores = {
+  memory: () => new MemoryStore(),
+  postgres: () => new PostgresStore()
+};
+
+let store = null;
+
+// The store named by RATE_LIMIT_STORE, created on first use
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+// Replace the backing store. It must implement get, set, increment and delete
+// with the same signatures as MemoryStore.
+const setStore = (newStore) => {
+  for (const method of ['get', 'set', 'increment', 'delete']) {
+    if (typeof newStore[method] !== 'function') {
+      throw new Error(`Rate limit store is missing ${method}()`);
+    }
+  }
+  store = newStore;
+};
+
+const byIp = (req) => req.ip;
+const byUser = (req) => (req.user ? req.user.id : req.ip);
+
+// Fixed-window rate limiter. Responds 429 with Retry-After once a client has
+// made more than `max` requests in `windowMs`.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message = 'Too many requests. Please try again later.'
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = `${name}:${keyGenerator(req)}`;
+      const { count, resetAt } = await getStore().increment(key, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+      res.set('RateLimit-Reset', String(Math.ceil((resetAt - Date.now()) / 1000)));
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock users out because the store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 1) * 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOGIN_ATTEMPTS_TTL_MS = 24 * 60 * 60 * 1000;
+
+const loginKey = (account) => `login:${String(account).toLowerCase()}`;
+
+// Seconds until a locked account may try again, or 0 if it isn't locked
+const getLoginLockout = async (account) => {
+  const lockedUntil = await getStore().get(`${loginKey(account)}:locked`);
+  if (!lockedUntil) return 0;
+
+  const remaining = lockedUntil - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Record a failed login. Every LOGIN_MAX_FAILED_ATTEMPTS failures lock the
+// account, and each further lockout doubles in length up to an hour.
+// Failures are counted with the store's atomic increment, so concurrent
+// attempts can't slip past the limit. Returns the lockout in seconds if this
+// failure triggered one.
+const recordLoginFailure = async (account) => {
+  const key = loginKey(account);
+  const { count } = await getStore().increment(`${key}:failures`, LOGIN_ATTEMPTS_TTL_MS);
+  if (count % LOGIN_MAX_FAILED_ATTEMPTS !== 0) return 0;
+
+  const lockouts = count / LOGIN_MAX_FAILED_ATTEMPTS;
+  const lockoutMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_MS);
+  await getStore().set(`${key}:locked`, Date.now() + lockoutMs, lockoutMs);
+  return Math.ceil(lockoutMs / 1000);
+};
+
+const clearLoginFailures = async (account) => {
+  const key = loginKey(account);
+  await getStore().delete(`${key}:failures`);
+  await getStore().delete(`${key}:locked`);
+};
+
+// Route limiters
+const limiters = {
+  login: rateLimit({
+    name: 'login',
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many login attempts from this IP. Please try again later.'
+  }),
+
+  register: rateLimit({
+    name: 'register',
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: 'Too many accounts created from this IP. Please try again later.'
+  }),
+
+  passwordReset: rateLimit({
+    name: 'password-reset',
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: 'Too many password reset requests. Please try again later.'
+  }),
+
+  sendMessage: rateLimit({
+    name: 'send-message',
+    windowMs: 60 * 1000,
+    max: 20,
+    keyGenerator: byUser,
+    message: 'You are sending messages too quickly. Please slow down.'
+  }),
+
+  // Its own window, so typing indicators never use up the message limit
+  typing: rateLimit({
+    name: 'typing',
+    windowMs: 60 * 1000,
+    max: 30,
+    keyGenerator: byUser,
+    message: 'You are sending typing indicators too quickly. Please slow down.'
+  })
+};
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+  setStore,
+  rateLimit,
+  byIp,
+  byUser,
+  limiters,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
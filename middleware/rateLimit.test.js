@@ -0,0 +1,121 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../config/database');
+const {
+  MemoryStore,
+  PostgresStore,
+  setStore,
+  rateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('./rateLimit');
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+  query.mockReset();
+});
+
+describe('login lockout', () => {
+  it('locks the account once the failures add up', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect(await recordLoginFailure('ada@example.com')).toBe(0);
+    }
+    expect(await getLoginLockout('ada@example.com')).toBe(0);
+
+    expect(await recordLoginFailure('ADA@example.com')).toBe(60);
+    expect(await getLoginLockout('ada@example.com')).toBe(60);
+  });
+
+  it('locks exactly once for concurrent failures', async () => {
+    const lockouts = await Promise.all(
+      Array.from({ length: 5 }, () => recordLoginFailure('ada@example.com'))
+    );
+    expect(lockouts.filter(seconds => seconds > 0)).toEqual([60]);
+  });
+
+  it('doubles each further lockout', async () => {
+    const lockouts = [];
+    for (let i = 0; i < 15; i++) {
+      lockouts.push(await recordLoginFailure('ada@example.com'));
+    }
+    expect(lockouts.filter(seconds => seconds > 0)).toEqual([60, 120, 240]);
+  });
+
+  it('starts over after a successful login', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure('ada@example.com');
+    }
+    await clearLoginFailures('ada@example.com');
+
+    expect(await getLoginLockout('ada@example.com')).toBe(0);
+    expect(await recordLoginFailure('ada@example.com')).toBe(0);
+  });
+});
+
+describe('rateLimit', () => {
+  const run = async (middleware) => {
+    const res = {
+      set: jest.fn(),
+      status: jest.fn(function status() { return this; }),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+    await middleware({ ip: '203.0.113.7' }, res, next);
+    return { res, next };
+  };
+
+  it('responds 429 once the window is used up', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60000, max: 2 });
+
+    expect((await run(limiter)).next).toHaveBeenCalled();
+    expect((await run(limiter)).next).toHaveBeenCalled();
+
+    const { res, next } = await run(limiter);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+  });
+
+  it('lets requests through when the store fails', async () => {
+    setStore({
+      get: jest.fn(),
+      set: jest.fn(),
+      increment: jest.fn().mockRejectedValue(new Error('down')),
+      delete: jest.fn()
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { next } = await run(rateLimit({ name: 'test', windowMs: 60000, max: 2 }));
+    expect(next).toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+});
+
+describe('PostgresStore', () => {
+  it('counts with a single upsert', async () => {
+    const resetAt = new Date('2026-01-01T10:15:00Z');
+    query.mockResolvedValue({ rows: [{ count: 3, expires_at: resetAt }] });
+
+    const store = new PostgresStore();
+    store.lastPrunedAt = Date.now();
+
+    expect(await store.increment('login:ada', 900000)).toEqual({ count: 3, resetAt: resetAt.getTime() });
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][0]).toMatch(/ON CONFLICT \(key\) DO UPDATE/);
+    expect(query.mock.calls[0][1]).toEqual(['login:ada', 900]);
+  });
+
+  it('stores values as JSON', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    const store = new PostgresStore();
+    await store.set('login:ada:locked', 1767262500000, 60000);
+
+    expect(query).toHaveBeenLastCalledWith(expect.stringMatching(/INSERT INTO rate_limits/), [
+      'login:ada:locked', '1767262500000', 60
+    ]);
+    expect(await store.get('login:ada:locked')).toBeNull();
+  });
+});
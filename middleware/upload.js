@@ -0,0 +1,70 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif,image/webp')
+  .split(',')
+  .map(type => type.trim());
+
+// Leading bytes of each supported format, so a file can't just claim to be
+// an image through its Content-Type
+const SIGNATURES = {
+  'image/jpeg': (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/png': (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': (buf) => buf.subarray(0, 4).toString('ascii') === 'GIF8',
+  'image/webp': (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' &&
+    buf.subarray(8, 12).toString('ascii') === 'WEBP'
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in the multipart field "image"
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (error) {
+      let message = 'Error uploading file';
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        message = `File is too large. Maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024 * 10) / 10} MB`;
+      } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        message = `Only these file types are allowed: ${ALLOWED_FILE_TYPES.join(', ')}`;
+      }
+
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image uploaded. Send it in the "image" field.'
+      });
+    }
+
+    const matchesSignature = SIGNATURES[req.file.mimetype];
+    if (!matchesSignature || !matchesSignature(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'File content does not match its type'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadImage
+};
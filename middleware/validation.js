@@ -1,4 +1,14 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { OAUTH_PROVIDERS } = require('../utils/oauth');
+const { MAX_TAGS_PER_PROJECT } = require('../utils/tags');
+const { isNotificationType } = require('../utils/notifications');
+const { decodeCursor } = require('../utils/pagination');
+const { MAX_SKILLS, SKILL_LEVELS } = require('../utils/skills');
+const { MAX_SOCIAL_LINKS, SOCIAL_PLATFORMS, getSocialPlatform, parseSocialLink } = require('../utils/socials');
+const { MAX_FEATURED_PROJECTS } = require('../utils/featured');
+const { EXPORT_FORMATS } = require('../utils/resume');
+const { isStoredFile } = require('../utils/storage');
+const { PROJECT_VISIBILITIES, PORTFOLIO_VISIBILITIES, FIELD_VISIBILITIES } = require('../utils/visibility');
 
 // Middleware to check validation results
 const validate = (req, res, next) => {
@@ -13,7 +23,87 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Rules for portfolio experience/education entries. `organization` is the
+// company or school (required on create), `title` the role or degree.
+const portfolioEntry = (organization, title, { isUpdate = false } = {}) => [
+  ...(isUpdate ? [param('entryId').isUUID().withMessage('Invalid entry ID')] : []),
+  (isUpdate ? body(organization).optional() : body(organization))
+    .isString().withMessage(`${organization} is required`)
+    .bail()
+    .trim()
+    .notEmpty().withMessage(`${organization} is required`)
+    .isLength({ max: 200 }).withMessage(`${organization} must be less than 200 characters`),
+  body([title, 'location'])
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Must be less than 200 characters'),
+  body(['start_date', 'end_date'])
+    .optional({ values: 'null' })
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Dates must be in YYYY-MM-DD format')
+    .isISO8601({ strict: true }).withMessage('Invalid date'),
+  body('is_current')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('is_current must be a boolean'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
+  validate
+];
+
+// Rules for a skill list. Each skill is a name or
+// { name, category, level, years }; null clears a detail.
+const skillList = ({ optional = false } = {}) => [
+  (optional ? body('skills').optional() : body('skills'))
+    .isArray({ max: MAX_SKILLS }).withMessage(`Skills must be an array of at most ${MAX_SKILLS} skills`),
+  body('skills.*')
+    .custom((skill) => {
+      const entry = typeof skill === 'string' ? { name: skill } : skill;
+      if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+        throw new Error('Each skill must be a name or an object with a name');
+      }
+      if (typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new Error('Skill name is required');
+      }
+      if (entry.name.trim().length > 100) {
+        throw new Error('Skill name must be less than 100 characters');
+      }
+      if (entry.category != null && (typeof entry.category !== 'string' || entry.category.length > 50)) {
+        throw new Error('Skill category must be text of less than 50 characters');
+      }
+      if (entry.level != null && !SKILL_LEVELS.includes(entry.level)) {
+        throw new Error(`Skill level must be one of: ${SKILL_LEVELS.join(', ')}`);
+      }
+      if (entry.years != null && !(Number.isInteger(entry.years) && entry.years >= 0 && entry.years <= 60)) {
+        throw new Error('Skill years must be a whole number from 0 to 60');
+      }
+      return true;
+    })
+];
+
+// A publish time for scheduling, which must be in the future
+const publishAt = () => body('publish_at')
+  .optional({ values: 'null' })
+  .isISO8601().withMessage('publish_at must be an ISO 8601 timestamp')
+  .bail()
+  .custom(value => new Date(value) > new Date()).withMessage('publish_at must be in the future');
+
 // Validation rules for different routes
+// Image URL fields may link anywhere except our storage, where only the
+// caller's own uploads (under the folder `ownFolder(req)` returns, if any)
+// are allowed. Anything else would let people point at, and later delete,
+// someone else's files.
+const imageUrl = (field, ownFolder, uploadRoute) => body(field)
+  .optional({ values: 'null' })
+  .isString().withMessage(`${field} must be a URL`)
+  .bail()
+  .custom((url, { req }) => {
+    if (!isStoredFile(url)) return true;
+    const folder = ownFolder && ownFolder(req);
+    return Boolean(folder) && isStoredFile(url, folder);
+  })
+  .withMessage(`Upload images with ${uploadRoute}`);
+
 const validations = {
   // Auth validations
   register: [
@@ -48,6 +138,95 @@ const validations = {
     validate
   ],
 
+  refreshToken: [
+    body('refresh_token')
+      .notEmpty().withMessage('Refresh token is required')
+      .isString().withMessage('Refresh token must be a string'),
+    validate
+  ],
+
+  verifyEmail: [
+    body('token')
+      .notEmpty().withMessage('Verification token is required')
+      .isString().withMessage('Verification token must be a string'),
+    validate
+  ],
+
+  forgotPassword: [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    validate
+  ],
+
+  resetPassword: [
+    body('token')
+      .notEmpty().withMessage('Reset token is required')
+      .isString().withMessage('Reset token must be a string'),
+    body('password')
+      .notEmpty().withMessage('Password is required')
+      .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    validate
+  ],
+
+  // OAuth validations
+  oauthProvider: [
+    param('provider')
+      .isIn(OAUTH_PROVIDERS).withMessage(`Provider must be one of: ${OAUTH_PROVIDERS.join(', ')}`),
+    validate
+  ],
+
+  oauthToken: [
+    body('provider')
+      .isIn(OAUTH_PROVIDERS).withMessage(`Provider must be one of: ${OAUTH_PROVIDERS.join(', ')}`),
+    body('access_token')
+      .notEmpty().withMessage('Access token is required')
+      .isString().withMessage('Access token must be a string'),
+    validate
+  ],
+
+  // Two-factor validations
+  twoFactorCode: [
+    body('code')
+      .trim()
+      .notEmpty().withMessage('Two-factor code is required')
+      .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits'),
+    validate
+  ],
+
+  twoFactorConfirm: [
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits'),
+    body('recovery_code')
+      .optional()
+      .isString().withMessage('Recovery code must be a string'),
+    body()
+      .custom(value => Boolean(value.code || value.recovery_code))
+      .withMessage('A two-factor code or recovery code is required'),
+    validate
+  ],
+
+  twoFactorVerify: [
+    body('challenge_token')
+      .notEmpty().withMessage('Challenge token is required')
+      .isString().withMessage('Challenge token must be a string'),
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits'),
+    body('recovery_code')
+      .optional()
+      .isString().withMessage('Recovery code must be a string'),
+    body()
+      .custom(value => Boolean(value.code || value.recovery_code))
+      .withMessage('A two-factor code or recovery code is required'),
+    validate
+  ],
+
   // Project validations
   createProject: [
     body('title')
@@ -61,16 +240,33 @@ const validations = {
       .optional()
       .trim()
       .isURL().withMessage('Demo URL must be valid'),
+    imageUrl('image_url', null, 'POST /api/projects/:id/image'),
     body('github_url')
       .optional()
       .trim()
       .isURL().withMessage('GitHub URL must be valid'),
+    body('visibility')
+      .optional()
+      .isIn(PROJECT_VISIBILITIES).withMessage(`Visibility must be one of: ${PROJECT_VISIBILITIES.join(', ')}`),
+    body('status')
+      .optional()
+      .isIn(['draft', 'published']).withMessage('Status must be draft or published'),
+    publishAt(),
+    body('tags')
+      .optional()
+      .isArray({ max: MAX_TAGS_PER_PROJECT }).withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_PROJECT} items`),
+    body('tags.*')
+      .isString().withMessage('Each tag must be a string')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Each tag must be between 1 and 50 characters'),
     validate
   ],
 
   updateProject: [
     param('id')
       .isUUID().withMessage('Invalid project ID'),
+    body(['status', 'publish_at'])
+      .not().exists().withMessage('Use /publish, /unpublish or /archive to change the status'),
     body('title')
       .optional()
       .trim()
@@ -82,10 +278,111 @@ const validations = {
       .optional()
       .trim()
       .isURL().withMessage('Demo URL must be valid'),
+    imageUrl('image_url', req => `projects/${req.params.id}`, 'POST /api/projects/:id/image'),
     body('github_url')
       .optional()
       .trim()
       .isURL().withMessage('GitHub URL must be valid'),
+    body('visibility')
+      .optional()
+      .isIn(PROJECT_VISIBILITIES).withMessage(`Visibility must be one of: ${PROJECT_VISIBILITIES.join(', ')}`),
+    body('is_featured')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('is_featured must be a boolean'),
+    body('tags')
+      .optional()
+      .isArray({ max: MAX_TAGS_PER_PROJECT }).withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_PROJECT} items`),
+    body('tags.*')
+      .isString().withMessage('Each tag must be a string')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Each tag must be between 1 and 50 characters'),
+    validate
+  ],
+
+  publishProject: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    publishAt(),
+    validate
+  ],
+
+  // Comment validations
+  createComment: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    body('body')
+      .trim()
+      .notEmpty().withMessage('Comment cannot be empty')
+      .isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters'),
+    body('parent_id')
+      .optional({ values: 'null' })
+      .isUUID().withMessage('Invalid parent comment ID'),
+    validate
+  ],
+
+  updateComment: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    param('commentId')
+      .isUUID().withMessage('Invalid comment ID'),
+    body('body')
+      .trim()
+      .notEmpty().withMessage('Comment cannot be empty')
+      .isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters'),
+    validate
+  ],
+
+  commentParams: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    param('commentId')
+      .isUUID().withMessage('Invalid comment ID'),
+    validate
+  ],
+
+  // Project media validations
+  createMedia: [
+    body('caption')
+      .optional()
+      .trim()
+      .isLength({ max: 300 }).withMessage('Caption must be less than 300 characters'),
+    body('is_cover')
+      .optional()
+      .isBoolean().withMessage('is_cover must be a boolean')
+      .toBoolean(),
+    validate
+  ],
+
+  updateMedia: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    param('mediaId')
+      .isUUID().withMessage('Invalid media ID'),
+    body('caption')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 300 }).withMessage('Caption must be less than 300 characters'),
+    body('is_cover')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('is_cover must be a boolean'),
+    validate
+  ],
+
+  reorderMedia: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    body('media_ids')
+      .isArray({ min: 1 }).withMessage('media_ids must be a non-empty array'),
+    body('media_ids.*')
+      .isUUID().withMessage('Invalid media ID'),
+    validate
+  ],
+
+  mediaParams: [
+    param('id')
+      .isUUID().withMessage('Invalid project ID'),
+    param('mediaId')
+      .isUUID().withMessage('Invalid media ID'),
     validate
   ],
 
@@ -103,6 +400,56 @@ const validations = {
       .trim()
       .isEmail().withMessage('Please provide a valid email')
       .normalizeEmail(),
+    imageUrl('avatar_url', req => `avatars/${req.user.id}`, 'POST /api/users/avatar'),
+    imageUrl('cover_image_url', req => `covers/${req.user.id}`, 'POST /api/users/cover'),
+    validate
+  ],
+
+  updateSkills: [
+    ...skillList(),
+    validate
+  ],
+
+  updateSocials: [
+    body('links')
+      .isArray({ max: MAX_SOCIAL_LINKS })
+      .withMessage(`Send links as an array of at most ${MAX_SOCIAL_LINKS} { platform, url, label } objects`),
+    body('links.*.url')
+      .if(value => typeof value === 'string')
+      .trim(),
+    body('links.*')
+      .custom((link) => {
+        if (typeof link !== 'object' || link === null || Array.isArray(link)) {
+          throw new Error('Each link must be an object');
+        }
+        const platform = getSocialPlatform(link.platform);
+        if (!platform) {
+          throw new Error(`Platform must be one of: ${Object.keys(SOCIAL_PLATFORMS).join(', ')}`);
+        }
+        if (parseSocialLink(link.platform, link.url) === undefined) {
+          throw new Error(`Invalid ${platform.name} URL, e.g. ${platform.example}`);
+        }
+        return true;
+      }),
+    body('links.*.label')
+      .optional({ values: 'null' })
+      .isString().withMessage('Label must be text')
+      .bail()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Label must be less than 50 characters'),
+    validate
+  ],
+
+  skillIdParam: [
+    param('skillId')
+      .isUUID().withMessage('Invalid skill ID'),
+    validate
+  ],
+
+  updatePrivacy: [
+    body(['email', 'socials'])
+      .optional()
+      .isIn(FIELD_VISIBILITIES).withMessage(`Must be one of: ${FIELD_VISIBILITIES.join(', ')}`),
     validate
   ],
 
@@ -111,18 +458,71 @@ const validations = {
     body('summary')
       .optional()
       .trim(),
-    body('experience')
-      .optional()
-      .trim(),
-    body('education')
+    body(['experience', 'education'])
+      .not().exists().withMessage('Use /api/portfolios/experience and /api/portfolios/education to manage entries'),
+    body('visibility')
       .optional()
-      .trim(),
-    body('skills')
-      .optional()
-      .isArray().withMessage('Skills must be an array'),
+      .isIn(PORTFOLIO_VISIBILITIES).withMessage(`Visibility must be one of: ${PORTFOLIO_VISIBILITIES.join(', ')}`),
+    ...skillList({ optional: true }),
     body('featured_projects')
       .optional()
-      .isArray().withMessage('Featured projects must be an array'),
+      .isArray({ max: MAX_FEATURED_PROJECTS }).withMessage(`Featured projects must be an array of at most ${MAX_FEATURED_PROJECTS} items`)
+      .bail()
+      .custom(ids => new Set(ids).size === ids.length).withMessage('Featured projects must not repeat a project'),
+    body('featured_projects.*')
+      .isUUID().withMessage('Invalid project ID'),
+    validate
+  ],
+
+  reorderFeatured: [
+    body('project_ids')
+      .isArray({ min: 1 }).withMessage('project_ids must be a non-empty array'),
+    body('project_ids.*')
+      .isUUID().withMessage('Invalid project ID'),
+    validate
+  ],
+
+  featuredParam: [
+    param('projectId')
+      .isUUID().withMessage('Invalid project ID'),
+    validate
+  ],
+
+  createExperience: portfolioEntry('company', 'role'),
+  updateExperience: portfolioEntry('company', 'role', { isUpdate: true }),
+  createEducation: portfolioEntry('school', 'degree'),
+  updateEducation: portfolioEntry('school', 'degree', { isUpdate: true }),
+
+  reorderEntries: [
+    body('entry_ids')
+      .isArray({ min: 1 }).withMessage('entry_ids must be a non-empty array'),
+    body('entry_ids.*')
+      .isUUID().withMessage('Invalid entry ID'),
+    validate
+  ],
+
+  createShareLink: [
+    body('label')
+      .optional({ values: 'null' })
+      .isString().withMessage('Label must be text')
+      .trim()
+      .isLength({ max: 100 }).withMessage('Label must be less than 100 characters'),
+    body('expires_in_days')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 }).withMessage('expires_in_days must be between 1 and 365')
+      .toInt(),
+    validate
+  ],
+
+  shareLinkParam: [
+    param('linkId')
+      .isUUID().withMessage('Invalid share link ID'),
+    validate
+  ],
+
+  entryParam: [
+    param('entryId')
+      .isUUID().withMessage('Invalid entry ID'),
     validate
   ],
 
@@ -138,6 +538,115 @@ const validations = {
     validate
   ],
 
+  userIdParam: [
+    param('userId')
+      .isUUID().withMessage('Invalid user ID'),
+    validate
+  ],
+
+  messageIdParam: [
+    param('messageId')
+      .isUUID().withMessage('Invalid message ID'),
+    validate
+  ],
+
+  typingIndicator: [
+    param('userId')
+      .isUUID().withMessage('Invalid user ID'),
+    body('typing')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('Typing must be true or false'),
+    validate
+  ],
+
+  messageEvents: [
+    query('since')
+      .optional()
+      .matches(/^\d+$/).withMessage('Invalid cursor'),
+    query('timeout')
+      .optional()
+      .isInt({ min: 0, max: 25 }).withMessage('Timeout must be between 0 and 25 seconds'),
+    validate
+  ],
+
+  // Notification validations
+  updateNotificationPreferences: [
+    body('preferences')
+      .isObject().withMessage('Preferences must be an object')
+      .custom((preferences) => {
+        for (const [type, value] of Object.entries(preferences)) {
+          if (!isNotificationType(type)) {
+            throw new Error(`Unknown notification type "${type}"`);
+          }
+          if (typeof value !== 'object' || value === null) {
+            throw new Error(`Preferences for "${type}" must be an object`);
+          }
+          for (const channel of ['in_app', 'email']) {
+            if (value[channel] !== undefined && typeof value[channel] !== 'boolean') {
+              throw new Error(`"${type}.${channel}" must be true or false`);
+            }
+          }
+        }
+        return true;
+      }),
+    validate
+  ],
+
+  // User discovery filters
+  listUsers: [
+    query('skill_match')
+      .optional()
+      .isIn(['any', 'all']).withMessage('Skill match must be any or all'),
+    query('min_projects')
+      .optional()
+      .isInt({ min: 0 }).withMessage('Minimum projects must be a non-negative integer'),
+    query('has_featured')
+      .optional()
+      .isIn(['true', 'false']).withMessage('has_featured must be true or false'),
+    query('sort')
+      .optional()
+      .isIn(['recent', 'projects', 'relevance']).withMessage('Sort must be recent, projects or relevance'),
+    validate
+  ],
+
+  // Search validations
+  search: [
+    query('q')
+      .trim()
+      .notEmpty().withMessage('Search query is required')
+      .isLength({ max: 200 }).withMessage('Search query must be less than 200 characters'),
+    query('type')
+      .optional()
+      .isIn(['all', 'users', 'projects']).withMessage('Type must be all, users or projects'),
+    validate
+  ],
+
+  // Pagination query validation for list endpoints
+  pagination: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+    query(['before', 'after'])
+      .optional()
+      .custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor'),
+    query('before')
+      .custom((value, { req }) => !(value && req.query.after)).withMessage('Use either before or after, not both'),
+    validate
+  ],
+
+  listTags: [
+    query('search')
+      .optional()
+      .isString().withMessage('Search must be text'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    validate
+  ],
+
   // Username param validation
   usernameParam: [
     param('username')
@@ -147,6 +656,17 @@ const validations = {
     validate
   ],
 
+  exportPortfolio: [
+    param('username')
+      .trim()
+      .notEmpty().withMessage('Username is required')
+      .matches(/^[a-zA-Z0-9_]+$/).withMessage('Invalid username format'),
+    query('format')
+      .optional()
+      .isIn(Object.keys(EXPORT_FORMATS)).withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+    validate
+  ],
+
   // UUID param validation
   uuidParam: [
     param('id')
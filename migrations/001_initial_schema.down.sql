@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS social_links;
+DROP TABLE IF EXISTS user_skills;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS projects;
+DROP TABLE IF EXISTS portfolios;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS set_updated_at();
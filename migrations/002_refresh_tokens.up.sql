@@ -0,0 +1,20 @@
+-- Server-side refresh tokens and password-change tracking for token revocation
+
+ALTER TABLE users ADD COLUMN password_changed_at TIMESTAMPTZ;
+
+CREATE TABLE refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- All tokens produced by rotating the same login share a family
+  family_id UUID NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS user_identities;
+-- Fails if OAuth-only accounts exist; give them a password or delete them first
+ALTER TABLE users ALTER COLUMN password_hash SET NOT NULL;
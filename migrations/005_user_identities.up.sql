@@ -0,0 +1,16 @@
+-- External OAuth identities (GitHub, Google) linked to DevFolio accounts
+
+-- Accounts created through OAuth have no password until they set one
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+CREATE TABLE user_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(20) NOT NULL,
+  provider_user_id VARCHAR(255) NOT NULL,
+  provider_username VARCHAR(255),
+  email VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, provider_user_id),
+  UNIQUE (user_id, provider)
+);
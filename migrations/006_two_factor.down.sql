@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+ALTER TABLE users
+  DROP COLUMN IF EXISTS totp_last_used_step,
+  DROP COLUMN IF EXISTS totp_enabled,
+  DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,16 @@
+-- TOTP two-factor authentication and one-time recovery codes
+
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(64),
+  ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT false,
+  -- Last accepted 30-second time step, so a code can't be replayed
+  ADD COLUMN totp_last_used_step BIGINT;
+
+CREATE TABLE two_factor_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, code_hash)
+);
@@ -0,0 +1,14 @@
+-- Ordered image gallery per project with captions and one cover image
+
+CREATE TABLE project_media (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  caption VARCHAR(300),
+  position INTEGER NOT NULL DEFAULT 0,
+  is_cover BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_project_media_project_id ON project_media(project_id, position);
+CREATE UNIQUE INDEX idx_project_media_one_cover ON project_media(project_id) WHERE is_cover;
@@ -0,0 +1,17 @@
+-- Tags / technologies on projects. Tags are shared and matched by slug
+-- (lower-cased, whitespace collapsed to dashes) so "React" and "react " are one tag.
+
+CREATE TABLE tags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(50) NOT NULL,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE project_tags (
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (project_id, tag_id)
+);
+
+CREATE INDEX idx_project_tags_tag_id ON project_tags(tag_id);
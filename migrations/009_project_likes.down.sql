@@ -0,0 +1,8 @@
+DROP TRIGGER IF EXISTS projects_set_updated_at ON projects;
+DROP TABLE IF EXISTS project_likes;
+DROP FUNCTION IF EXISTS update_project_like_count();
+ALTER TABLE projects DROP COLUMN IF EXISTS like_count;
+
+CREATE TRIGGER projects_set_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,38 @@
+-- Project likes, with a denormalized like_count on projects for sorting
+
+CREATE TABLE project_likes (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, project_id)
+);
+
+CREATE INDEX idx_project_likes_project_id ON project_likes(project_id);
+
+ALTER TABLE projects ADD COLUMN like_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX idx_projects_like_count ON projects(like_count DESC, created_at DESC);
+
+CREATE OR REPLACE FUNCTION update_project_like_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE projects SET like_count = like_count + 1 WHERE id = NEW.project_id;
+  ELSE
+    UPDATE projects SET like_count = like_count - 1 WHERE id = OLD.project_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER project_likes_count
+  AFTER INSERT OR DELETE ON project_likes
+  FOR EACH ROW EXECUTE FUNCTION update_project_like_count();
+
+-- Likes shouldn't count as edits to the project
+DROP TRIGGER projects_set_updated_at ON projects;
+CREATE TRIGGER projects_set_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  WHEN (OLD.like_count = NEW.like_count)
+  EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,10 @@
+DROP TRIGGER IF EXISTS projects_set_updated_at ON projects;
+DROP TABLE IF EXISTS project_comments;
+DROP FUNCTION IF EXISTS update_project_comment_count();
+ALTER TABLE projects DROP COLUMN IF EXISTS comment_count;
+
+CREATE TRIGGER projects_set_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  WHEN (OLD.like_count = NEW.like_count)
+  EXECUTE FUNCTION set_updated_at();
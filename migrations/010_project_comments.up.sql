@@ -0,0 +1,47 @@
+-- Comments on projects with one level of replies, and a denormalized
+-- comment_count on projects for the feed
+
+CREATE TABLE project_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Set on replies; replies to replies are not allowed
+  parent_id UUID REFERENCES project_comments(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_project_comments_project_id ON project_comments(project_id, created_at DESC)
+  WHERE parent_id IS NULL;
+CREATE INDEX idx_project_comments_parent_id ON project_comments(parent_id, created_at);
+
+CREATE TRIGGER project_comments_set_updated_at
+  BEFORE UPDATE ON project_comments
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+ALTER TABLE projects ADD COLUMN comment_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION update_project_comment_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE projects SET comment_count = comment_count + 1 WHERE id = NEW.project_id;
+  ELSE
+    UPDATE projects SET comment_count = comment_count - 1 WHERE id = OLD.project_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER project_comments_count
+  AFTER INSERT OR DELETE ON project_comments
+  FOR EACH ROW EXECUTE FUNCTION update_project_comment_count();
+
+-- Comments shouldn't count as edits to the project either
+DROP TRIGGER projects_set_updated_at ON projects;
+CREATE TRIGGER projects_set_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  WHEN (OLD.like_count = NEW.like_count AND OLD.comment_count = NEW.comment_count)
+  EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,13 @@
+-- Per-user event log behind the real-time message stream and long-poll.
+-- Ids are the resume cursor; rows are pruned after REALTIME_EVENT_TTL_MINUTES.
+
+CREATE TABLE message_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_message_events_user_id ON message_events(user_id, id);
+CREATE INDEX idx_message_events_created_at ON message_events(created_at);
@@ -0,0 +1,14 @@
+DROP TRIGGER IF EXISTS project_tags_search ON project_tags;
+DROP TRIGGER IF EXISTS projects_search ON projects;
+DROP TRIGGER IF EXISTS user_skills_search ON user_skills;
+DROP TRIGGER IF EXISTS users_search ON users;
+
+DROP FUNCTION IF EXISTS project_tags_refresh_search();
+DROP FUNCTION IF EXISTS projects_refresh_search();
+DROP FUNCTION IF EXISTS user_skills_refresh_search();
+DROP FUNCTION IF EXISTS users_refresh_search();
+DROP FUNCTION IF EXISTS refresh_project_search(UUID);
+DROP FUNCTION IF EXISTS refresh_user_search(UUID);
+
+DROP TABLE IF EXISTS project_search;
+DROP TABLE IF EXISTS user_search;
@@ -0,0 +1,111 @@
+-- Full-text search documents for developers and projects. Skills and tags
+-- live in their own tables, so documents are kept in side tables maintained
+-- by triggers instead of generated columns (which also keeps updated_at
+-- untouched when only the document changes).
+--
+-- Weights: A = name/username/title, B = skills/tags, C = bio/description.
+-- Names, usernames, skills and tags use the 'simple' configuration so they
+-- match as typed; free text uses 'english' for stemming.
+
+CREATE TABLE user_search (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  document TSVECTOR NOT NULL
+);
+
+CREATE INDEX idx_user_search_document ON user_search USING GIN (document);
+
+CREATE TABLE project_search (
+  project_id UUID PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+  document TSVECTOR NOT NULL
+);
+
+CREATE INDEX idx_project_search_document ON project_search USING GIN (document);
+
+CREATE OR REPLACE FUNCTION refresh_user_search(target_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO user_search (user_id, document)
+  SELECT u.id,
+         setweight(to_tsvector('simple', COALESCE(u.name, '')), 'A') ||
+         setweight(to_tsvector('simple', u.username), 'A') ||
+         setweight(to_tsvector('simple', COALESCE(
+           (SELECT string_agg(us.skill, ' ') FROM user_skills us WHERE us.user_id = u.id), ''
+         )), 'B') ||
+         setweight(to_tsvector('english', COALESCE(u.bio, '')), 'C')
+  FROM users u
+  WHERE u.id = target_id
+  ON CONFLICT (user_id) DO UPDATE SET document = EXCLUDED.document;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION refresh_project_search(target_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO project_search (project_id, document)
+  SELECT p.id,
+         setweight(to_tsvector('english', p.title), 'A') ||
+         setweight(to_tsvector('simple', COALESCE(
+           (SELECT string_agg(t.name, ' ')
+            FROM project_tags pt
+            INNER JOIN tags t ON pt.tag_id = t.id
+            WHERE pt.project_id = p.id), ''
+         )), 'B') ||
+         setweight(to_tsvector('english', COALESCE(p.description, '')), 'C')
+  FROM projects p
+  WHERE p.id = target_id
+  ON CONFLICT (project_id) DO UPDATE SET document = EXCLUDED.document;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Row triggers: refresh the document of whichever user/project changed
+CREATE OR REPLACE FUNCTION users_refresh_search()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_user_search(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION user_skills_refresh_search()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_user_search(CASE WHEN TG_OP = 'DELETE' THEN OLD.user_id ELSE NEW.user_id END);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION projects_refresh_search()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_project_search(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION project_tags_refresh_search()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_project_search(CASE WHEN TG_OP = 'DELETE' THEN OLD.project_id ELSE NEW.project_id END);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_search
+  AFTER INSERT OR UPDATE OF name, username, bio ON users
+  FOR EACH ROW EXECUTE FUNCTION users_refresh_search();
+
+CREATE TRIGGER user_skills_search
+  AFTER INSERT OR UPDATE OR DELETE ON user_skills
+  FOR EACH ROW EXECUTE FUNCTION user_skills_refresh_search();
+
+CREATE TRIGGER projects_search
+  AFTER INSERT OR UPDATE OF title, description ON projects
+  FOR EACH ROW EXECUTE FUNCTION projects_refresh_search();
+
+CREATE TRIGGER project_tags_search
+  AFTER INSERT OR DELETE ON project_tags
+  FOR EACH ROW EXECUTE FUNCTION project_tags_refresh_search();
+
+-- Backfill
+SELECT refresh_user_search(id) FROM users;
+SELECT refresh_project_search(id) FROM projects;
@@ -0,0 +1,24 @@
+ALTER TABLE portfolios ADD COLUMN experience TEXT;
+ALTER TABLE portfolios ADD COLUMN education TEXT;
+
+-- Flatten entries back into text, one paragraph per entry
+UPDATE portfolios p SET experience = (
+  SELECT string_agg(
+    CONCAT_WS(E'\n', NULLIF(CONCAT_WS(' at ', e.role, e.company), ''), e.description),
+    E'\n\n' ORDER BY e.position
+  )
+  FROM portfolio_experience e
+  WHERE e.portfolio_id = p.id
+);
+
+UPDATE portfolios p SET education = (
+  SELECT string_agg(
+    CONCAT_WS(E'\n', NULLIF(CONCAT_WS(', ', e.degree, e.school), ''), e.description),
+    E'\n\n' ORDER BY e.position
+  )
+  FROM portfolio_education e
+  WHERE e.portfolio_id = p.id
+);
+
+DROP TABLE IF EXISTS portfolio_education;
+DROP TABLE IF EXISTS portfolio_experience;
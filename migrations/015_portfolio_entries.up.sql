@@ -0,0 +1,58 @@
+-- Structured experience and education entries on portfolios, replacing the
+-- free-text portfolios.experience and portfolios.education columns. Existing
+-- text is kept as one legacy entry per portfolio (organization left empty).
+
+CREATE TABLE portfolio_experience (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  portfolio_id UUID NOT NULL REFERENCES portfolios(id) ON DELETE CASCADE,
+  company VARCHAR(200),
+  role VARCHAR(200),
+  location VARCHAR(200),
+  start_date DATE,
+  end_date DATE,
+  is_current BOOLEAN NOT NULL DEFAULT false,
+  description TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date),
+  CHECK (NOT (is_current AND end_date IS NOT NULL))
+);
+
+CREATE INDEX idx_portfolio_experience_portfolio_id ON portfolio_experience(portfolio_id, position);
+
+CREATE TABLE portfolio_education (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  portfolio_id UUID NOT NULL REFERENCES portfolios(id) ON DELETE CASCADE,
+  school VARCHAR(200),
+  degree VARCHAR(200),
+  location VARCHAR(200),
+  start_date DATE,
+  end_date DATE,
+  is_current BOOLEAN NOT NULL DEFAULT false,
+  description TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date),
+  CHECK (NOT (is_current AND end_date IS NOT NULL))
+);
+
+CREATE INDEX idx_portfolio_education_portfolio_id ON portfolio_education(portfolio_id, position);
+
+CREATE TRIGGER portfolio_experience_set_updated_at
+  BEFORE UPDATE ON portfolio_experience
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER portfolio_education_set_updated_at
+  BEFORE UPDATE ON portfolio_education
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+INSERT INTO portfolio_experience (portfolio_id, description)
+SELECT id, experience FROM portfolios WHERE NULLIF(TRIM(experience), '') IS NOT NULL;
+
+INSERT INTO portfolio_education (portfolio_id, description)
+SELECT id, education FROM portfolios WHERE NULLIF(TRIM(education), '') IS NOT NULL;
+
+ALTER TABLE portfolios DROP COLUMN experience;
+ALTER TABLE portfolios DROP COLUMN education;
@@ -0,0 +1,18 @@
+DROP TRIGGER IF EXISTS user_skills_search ON user_skills;
+CREATE TRIGGER user_skills_search
+  AFTER INSERT OR UPDATE OR DELETE ON user_skills
+  FOR EACH ROW EXECUTE FUNCTION user_skills_refresh_search();
+
+DROP TRIGGER IF EXISTS skill_endorsements_count ON skill_endorsements;
+DROP FUNCTION IF EXISTS update_skill_endorsement_count();
+DROP TABLE IF EXISTS skill_endorsements;
+
+DROP INDEX IF EXISTS idx_user_skills_user_skill;
+CREATE INDEX idx_user_skills_user_id ON user_skills(user_id);
+
+ALTER TABLE user_skills
+  DROP COLUMN endorsement_count,
+  DROP COLUMN position,
+  DROP COLUMN years,
+  DROP COLUMN level,
+  DROP COLUMN category;
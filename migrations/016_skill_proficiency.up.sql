@@ -0,0 +1,62 @@
+-- Skill details (category, proficiency level, years of experience, order),
+-- one row per skill per user ignoring case, and endorsements from other users
+-- with a denormalized endorsement_count
+
+-- Tidy spacing, then drop case-insensitive duplicates, keeping the oldest
+UPDATE user_skills SET skill = regexp_replace(btrim(skill), '\s+', ' ', 'g');
+
+DELETE FROM user_skills us
+USING user_skills keep
+WHERE keep.user_id = us.user_id
+  AND LOWER(keep.skill) = LOWER(us.skill)
+  AND (keep.created_at, keep.id) < (us.created_at, us.id);
+
+ALTER TABLE user_skills
+  ADD COLUMN category VARCHAR(50),
+  ADD COLUMN level VARCHAR(20) CHECK (level IN ('beginner', 'intermediate', 'advanced', 'expert')),
+  ADD COLUMN years SMALLINT CHECK (years BETWEEN 0 AND 60),
+  ADD COLUMN position INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN endorsement_count INTEGER NOT NULL DEFAULT 0;
+
+-- Existing skills keep the order they were added in
+UPDATE user_skills us SET position = ordered.position
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at, id) - 1 as position
+  FROM user_skills
+) ordered
+WHERE ordered.id = us.id;
+
+DROP INDEX idx_user_skills_user_id;
+CREATE UNIQUE INDEX idx_user_skills_user_skill ON user_skills(user_id, LOWER(skill));
+
+CREATE TABLE skill_endorsements (
+  skill_id UUID NOT NULL REFERENCES user_skills(id) ON DELETE CASCADE,
+  endorser_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (skill_id, endorser_id)
+);
+
+CREATE INDEX idx_skill_endorsements_endorser_id ON skill_endorsements(endorser_id);
+
+CREATE OR REPLACE FUNCTION update_skill_endorsement_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE user_skills SET endorsement_count = endorsement_count + 1 WHERE id = NEW.skill_id;
+  ELSE
+    UPDATE user_skills SET endorsement_count = endorsement_count - 1 WHERE id = OLD.skill_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER skill_endorsements_count
+  AFTER INSERT OR DELETE ON skill_endorsements
+  FOR EACH ROW EXECUTE FUNCTION update_skill_endorsement_count();
+
+-- Only the skill name is searchable; don't rebuild the user's search
+-- document for endorsements or detail changes
+DROP TRIGGER user_skills_search ON user_skills;
+CREATE TRIGGER user_skills_search
+  AFTER INSERT OR UPDATE OF skill OR DELETE ON user_skills
+  FOR EACH ROW EXECUTE FUNCTION user_skills_refresh_search();
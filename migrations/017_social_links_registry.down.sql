@@ -0,0 +1,14 @@
+-- Only one link per platform fits the old schema; keep the first
+DELETE FROM social_links sl
+USING social_links keep
+WHERE keep.user_id = sl.user_id
+  AND keep.platform = sl.platform
+  AND (keep.position, keep.id) < (sl.position, sl.id);
+
+DROP INDEX IF EXISTS idx_social_links_user_id;
+
+ALTER TABLE social_links
+  DROP COLUMN position,
+  DROP COLUMN label;
+
+ALTER TABLE social_links ADD CONSTRAINT social_links_user_id_platform_key UNIQUE (user_id, platform);
@@ -0,0 +1,22 @@
+-- Any number of social links per user, in display order, each with an
+-- optional label. Platforms are validated against the registry in
+-- utils/socials.js.
+
+ALTER TABLE social_links DROP CONSTRAINT social_links_user_id_platform_key;
+
+ALTER TABLE social_links
+  ADD COLUMN label VARCHAR(50),
+  ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+
+-- Keep the order the old fixed fields were shown in
+UPDATE social_links sl SET position = ordered.position
+FROM (
+  SELECT id, ROW_NUMBER() OVER (
+    PARTITION BY user_id
+    ORDER BY CASE platform WHEN 'github' THEN 0 WHEN 'linkedin' THEN 1 WHEN 'twitter' THEN 2 ELSE 3 END, created_at
+  ) - 1 as position
+  FROM social_links
+) ordered
+WHERE ordered.id = sl.id;
+
+CREATE INDEX idx_social_links_user_id ON social_links(user_id, position);
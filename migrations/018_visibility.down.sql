@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS portfolio_share_links;
+
+ALTER TABLE users
+  DROP COLUMN socials_visibility,
+  DROP COLUMN email_visibility;
+
+ALTER TABLE portfolios DROP COLUMN visibility;
+ALTER TABLE projects DROP COLUMN visibility;
@@ -0,0 +1,30 @@
+-- Visibility for projects and portfolios, share links for private
+-- portfolios, and who can see a user's email and social links
+
+ALTER TABLE projects
+  ADD COLUMN visibility VARCHAR(10) NOT NULL DEFAULT 'public'
+  CHECK (visibility IN ('public', 'unlisted', 'private'));
+
+ALTER TABLE portfolios
+  ADD COLUMN visibility VARCHAR(10) NOT NULL DEFAULT 'public'
+  CHECK (visibility IN ('public', 'private'));
+
+-- Emails were shown on every profile; they are now private unless shared
+ALTER TABLE users
+  ADD COLUMN email_visibility VARCHAR(10) NOT NULL DEFAULT 'private'
+    CHECK (email_visibility IN ('public', 'followers', 'private')),
+  ADD COLUMN socials_visibility VARCHAR(10) NOT NULL DEFAULT 'public'
+    CHECK (socials_visibility IN ('public', 'followers', 'private'));
+
+-- Anyone with a share link can view the portfolio while it is private
+CREATE TABLE portfolio_share_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  portfolio_id UUID NOT NULL REFERENCES portfolios(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  label VARCHAR(100),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_portfolio_share_links_portfolio_id ON portfolio_share_links(portfolio_id);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_projects_published_at;
+
+ALTER TABLE projects
+  DROP CONSTRAINT IF EXISTS projects_published_at_check,
+  DROP COLUMN published_at,
+  DROP COLUMN status;
@@ -0,0 +1,18 @@
+-- Draft/published/archived status for projects. A published project goes
+-- live at published_at, so publishing with a future time schedules it.
+
+ALTER TABLE projects
+  ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'published', 'archived')),
+  ADD COLUMN published_at TIMESTAMPTZ;
+
+-- Until now every project was published when it was created. This isn't an
+-- edit, so leave updated_at alone.
+ALTER TABLE projects DISABLE TRIGGER projects_set_updated_at;
+UPDATE projects SET status = 'published', published_at = created_at;
+ALTER TABLE projects ENABLE TRIGGER projects_set_updated_at;
+
+ALTER TABLE projects
+  ADD CONSTRAINT projects_published_at_check CHECK (status <> 'published' OR published_at IS NOT NULL);
+
+CREATE INDEX idx_projects_published_at ON projects(published_at DESC) WHERE status = 'published';
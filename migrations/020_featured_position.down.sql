@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_projects_featured;
+
+ALTER TABLE projects
+  DROP CONSTRAINT IF EXISTS projects_featured_position_check,
+  DROP COLUMN featured_position;
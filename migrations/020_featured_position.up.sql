@@ -0,0 +1,21 @@
+-- Featured projects are shown in the order their owner chose.
+-- featured_position is set exactly when a project is featured.
+
+ALTER TABLE projects ADD COLUMN featured_position INTEGER;
+
+-- Keep the current featured projects, oldest first. This isn't an edit, so
+-- leave updated_at alone.
+ALTER TABLE projects DISABLE TRIGGER projects_set_updated_at;
+UPDATE projects p SET featured_position = o.position - 1
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at, id) AS position
+  FROM projects
+  WHERE is_featured = true
+) o
+WHERE p.id = o.id;
+ALTER TABLE projects ENABLE TRIGGER projects_set_updated_at;
+
+ALTER TABLE projects
+  ADD CONSTRAINT projects_featured_position_check CHECK (is_featured = (featured_position IS NOT NULL));
+
+CREATE INDEX idx_projects_featured ON projects(user_id, featured_position) WHERE is_featured = true;
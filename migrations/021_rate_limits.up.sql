@@ -0,0 +1,12 @@
+-- Shared rate limit counters and login lockouts, used with
+-- RATE_LIMIT_STORE=postgres so every instance sees the same counts.
+-- Expired rows are ignored and pruned from time to time.
+
+CREATE UNLOGGED TABLE rate_limits (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  value JSONB,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_rate_limits_expires_at ON rate_limits(expires_at);
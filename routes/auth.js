@@ -1,24 +1,42 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { query, transaction } = require('../config/database');
 const validations = require('../middleware/validation');
 const { authenticate } = require('../middleware/auth');
-
-// Helper function to generate JWT
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
+const {
+  limiters,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../middleware/rateLimit');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail } = require('../utils/emails');
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/emailVerification');
+const { createUserWithPortfolio, generateUniqueUsername } = require('../utils/users');
+const { getAuthorizationUrl, getProviderProfile, linkIdentity } = require('../utils/oauth');
+const { createChallengeToken } = require('../utils/twoFactor');
+const { skillsJson } = require('../utils/skills');
+const { socialLinksJson, formatSocialLinks } = require('../utils/socials');
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../utils/tokens');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Compared against when there is no password to check, so logins for unknown
+// emails take as long as real ones. Same cost as the hashes we store.
+const DUMMY_PASSWORD_HASH = '$2a$10$waEITTVJsqVMiKmofFCPD.Llbg7MTL8jSHb7pU7dB1krsWS5rQy4K';
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', validations.register, async (req, res) => {
+router.post('/register', limiters.register, validations.register, async (req, res) => {
   try {
     const { name, username, email, password } = req.body;
 
@@ -40,49 +58,27 @@ router.post('/register', validations.register, async (req, res) => {
     const passwordHash = await bcrypt.hash(password, salt);
 
     // Create user and portfolio in a transaction
-    const result = await transaction(async (client) => {
-      // Insert user
-      const userResult = await client.query(
-        `INSERT INTO users (name, username, email, password_hash, bio, avatar_url, cover_image_url)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING id, name, username, email, avatar_url, created_at`,
-        [
-          name,
-          username,
-          email,
-          passwordHash,
-          'Developer passionate about creating amazing projects.',
-          `https://i.pravatar.cc/150?u=${username}`,
-          'https://images.unsplash.com/photo-1517694712202-14dd9538aa97?w=900'
-        ]
-      );
-
-      const user = userResult.rows[0];
-
-      // Create portfolio
-      await client.query(
-        `INSERT INTO portfolios (user_id, summary, experience, education)
-         VALUES ($1, $2, $3, $4)`,
-        [
-          user.id,
-          'Professional developer with a passion for building great software.',
-          '',
-          ''
-        ]
-      );
-
-      return user;
+    const result = await transaction((client) => createUserWithPortfolio(client, {
+      name,
+      username,
+      email,
+      passwordHash
+    }));
+
+    // Generate tokens
+    const tokens = await issueTokens(result.id, req);
+
+    // A failed email shouldn't fail the signup; the user can ask for a resend
+    await sendVerificationEmail(result, result.email).catch((error) => {
+      console.error('Send verification email error:', error);
     });
 
-    // Generate token
-    const token = generateToken(result.id);
-
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: result,
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -98,37 +94,67 @@ router.post('/register', validations.register, async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validations.login, async (req, res) => {
+router.post('/login', limiters.login, validations.login, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse while the account is locked out after repeated failures
+    const lockedFor = await getLoginLockout(email);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
     // Find user
     const result = await query(
-      'SELECT id, name, username, email, password_hash, avatar_url FROM users WHERE email = $1',
+      `SELECT id, name, username, email, email_verified, password_hash, avatar_url, totp_enabled
+       FROM users WHERE email = $1`,
       [email]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
     const user = result.rows[0];
 
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password_hash);
+    // Verify password. Always run bcrypt, so response times don't reveal
+    // which emails have accounts.
+    const hasPassword = Boolean(user && user.password_hash);
+    const passwordMatches = await bcrypt.compare(password, hasPassword ? user.password_hash : DUMMY_PASSWORD_HASH);
+    const isMatch = hasPassword && passwordMatches;
 
+    // Unknown emails count as failures too, so both cases look the same
     if (!isMatch) {
+      const lockout = await recordLoginFailure(email);
+      if (lockout > 0) {
+        res.set('Retry-After', String(lockout));
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    await clearLoginFailures(email);
+
+    // With 2FA on, the password only earns a challenge token that has to be
+    // exchanged at POST /api/auth/2fa/verify
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          two_factor_required: true,
+          challenge_token: createChallengeToken(user.id)
+        }
+      });
+    }
+
+    delete user.totp_enabled;
+
+    // Generate tokens
+    const tokens = await issueTokens(user.id, req);
 
     // Remove password from response
     delete user.password_hash;
@@ -138,7 +164,7 @@ router.post('/login', validations.login, async (req, res) => {
       message: 'Login successful',
       data: {
         user,
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -157,19 +183,12 @@ router.post('/login', validations.login, async (req, res) => {
 router.get('/me', authenticate, async (req, res) => {
   try {
     const result = await query(
-      `SELECT u.id, u.name, u.username, u.email, u.bio, u.avatar_url, u.cover_image_url,
-              array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills,
-              json_build_object(
-                'github', MAX(CASE WHEN sl.platform = 'github' THEN sl.url END),
-                'linkedin', MAX(CASE WHEN sl.platform = 'linkedin' THEN sl.url END),
-                'twitter', MAX(CASE WHEN sl.platform = 'twitter' THEN sl.url END),
-                'website', MAX(CASE WHEN sl.platform = 'website' THEN sl.url END)
-              ) as socials
+      `SELECT u.id, u.name, u.username, u.email, u.email_verified, u.pending_email,
+              u.bio, u.avatar_url, u.cover_image_url,
+              ${skillsJson('u.id')},
+              ${socialLinksJson('u.id')}
        FROM users u
-       LEFT JOIN user_skills us ON u.id = us.user_id
-       LEFT JOIN social_links sl ON u.id = sl.user_id
-       WHERE u.id = $1
-       GROUP BY u.id`,
+       WHERE u.id = $1`,
       [req.user.id]
     );
 
@@ -180,9 +199,14 @@ router.get('/me', authenticate, async (req, res) => {
       });
     }
 
+    const { social_links, ...user } = result.rows[0];
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...user,
+        ...formatSocialLinks(social_links)
+      }
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -223,6 +247,13 @@ router.post('/change-password', authenticate, async (req, res) => {
 
     const user = result.rows[0];
 
+    if (!user.password_hash) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has no password yet. Use forgot password to set one.'
+      });
+    }
+
     // Verify current password
     const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
 
@@ -237,15 +268,22 @@ router.post('/change-password', authenticate, async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(newPassword, salt);
 
-    // Update password
-    await query(
-      'UPDATE users SET password_hash = $1 WHERE id = $2',
-      [passwordHash, req.user.id]
-    );
+    // Update password and sign out every existing session
+    await transaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, password_changed_at = NOW() WHERE id = $2',
+        [passwordHash, req.user.id]
+      );
+      await revokeAllRefreshTokens(req.user.id, client);
+    });
+
+    // Keep the current device signed in with a fresh session
+    const tokens = await issueTokens(req.user.id, req);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: tokens
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -257,4 +295,524 @@ router.post('/change-password', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', validations.verifyEmail, async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+
+    // The pending address was claimed by another account in the meantime
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already in use'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email for the unconfirmed address
+// @access  Private
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, name, email, email_verified, pending_email FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+    const email = user.pending_email || (!user.email_verified && user.email);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user, email);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', limiters.passwordReset, validations.forgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await query(
+      'SELECT id, name, email FROM users WHERE email = $1',
+      [email]
+    );
+
+    // Only send when the account exists, but always answer the same way
+    // so the endpoint can't be used to discover registered emails
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await transaction(async (client) => {
+        // Only the most recent reset link stays usable
+        await client.query(
+          'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+          [user.id]
+        );
+        await client.query(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+        );
+      });
+
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', validations.resetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const reset = await transaction(async (client) => {
+      const tokenResult = await client.query(
+        `SELECT id, user_id FROM password_reset_tokens
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        return false;
+      }
+
+      const { id, user_id } = tokenResult.rows[0];
+
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1',
+        [id]
+      );
+      await client.query(
+        'UPDATE users SET password_hash = $1, password_changed_at = NOW() WHERE id = $2',
+        [passwordHash, user_id]
+      );
+      await revokeAllRefreshTokens(user_id, client);
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', validations.refreshToken, async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refresh_token, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refresh_token: tokens.refresh_token
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the given refresh token (log out this device)
+// @access  Public
+router.post('/logout', validations.refreshToken, async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every refresh token of the current user (log out all devices)
+// @access  Private
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllRefreshTokens(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out from all devices',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/oauth/identities
+// @desc    List OAuth providers linked to the current user
+// @access  Private
+router.get('/oauth/identities', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT provider, provider_username, email, created_at
+       FROM user_identities
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching linked accounts',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Redirect to the GitHub/Google sign-in page
+// @access  Public
+router.get('/oauth/:provider', validations.oauthProvider, async (req, res) => {
+  try {
+    const url = await getAuthorizationUrl(req.params.provider);
+    res.redirect(url);
+  } catch (error) {
+    console.error('OAuth redirect error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting OAuth sign-in',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/oauth/callback
+// @desc    Sign in (or sign up) with the Supabase access token from the OAuth redirect
+// @access  Public
+router.post('/oauth/callback', limiters.login, validations.oauthToken, async (req, res) => {
+  try {
+    const { provider, access_token } = req.body;
+
+    const profile = await getProviderProfile(provider, access_token);
+
+    if (!profile) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid OAuth token'
+      });
+    }
+
+    // Returning user
+    const linked = await query(
+      `SELECT u.id, u.name, u.username, u.email, u.email_verified, u.avatar_url, u.totp_enabled
+       FROM user_identities i
+       INNER JOIN users u ON i.user_id = u.id
+       WHERE i.provider = $1 AND i.provider_user_id = $2`,
+      [provider, profile.providerUserId]
+    );
+
+    if (linked.rows.length > 0) {
+      const { totp_enabled, ...user } = linked.rows[0];
+
+      if (totp_enabled) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            two_factor_required: true,
+            challenge_token: createChallengeToken(user.id)
+          }
+        });
+      }
+
+      const tokens = await issueTokens(user.id, req);
+
+      return res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user,
+          ...tokens
+        }
+      });
+    }
+
+    if (!profile.email) {
+      return res.status(400).json({
+        success: false,
+        message: `Your ${provider} account does not share an email address`
+      });
+    }
+
+    // Never attach a new identity to an existing account by email alone;
+    // the owner has to log in and link it themselves
+    const existingUser = await query(
+      'SELECT id FROM users WHERE email = $1',
+      [profile.email]
+    );
+
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `An account with this email already exists. Log in and link ${provider} from your account settings.`
+      });
+    }
+
+    // Create user and portfolio in a transaction
+    const user = await transaction(async (client) => {
+      const username = await generateUniqueUsername(
+        client,
+        profile.username || profile.email.split('@')[0]
+      );
+
+      const created = await createUserWithPortfolio(client, {
+        name: profile.name || username,
+        username,
+        email: profile.email,
+        emailVerified: profile.emailVerified,
+        avatarUrl: profile.avatarUrl
+      });
+
+      await linkIdentity(client, created.id, profile);
+
+      return created;
+    });
+
+    const tokens = await issueTokens(user.id, req);
+
+    if (!user.email_verified) {
+      await sendVerificationEmail(user, user.email).catch((error) => {
+        console.error('Send verification email error:', error);
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing in with OAuth',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/oauth/link
+// @desc    Link a GitHub/Google account to the current user
+// @access  Private
+router.post('/oauth/link', authenticate, validations.oauthToken, async (req, res) => {
+  try {
+    const { provider, access_token } = req.body;
+
+    const profile = await getProviderProfile(provider, access_token);
+
+    if (!profile) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid OAuth token'
+      });
+    }
+
+    const existing = await query(
+      `SELECT user_id FROM user_identities
+       WHERE (provider = $1 AND provider_user_id = $2) OR (provider = $1 AND user_id = $3)`,
+      [provider, profile.providerUserId, req.user.id]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: existing.rows.some(row => row.user_id === req.user.id)
+          ? `A ${provider} account is already linked to your profile`
+          : `This ${provider} account is linked to another user`
+      });
+    }
+
+    const identity = await transaction((client) => linkIdentity(client, req.user.id, profile));
+
+    res.status(201).json({
+      success: true,
+      message: `${provider} account linked successfully`,
+      data: identity
+    });
+  } catch (error) {
+    console.error('Link identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error linking account',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/oauth/:provider
+// @desc    Unlink a GitHub/Google account from the current user
+// @access  Private
+router.delete('/oauth/:provider', authenticate, validations.oauthProvider, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    // Don't remove the last way to sign in
+    const methods = await query(
+      `SELECT u.password_hash IS NOT NULL as has_password,
+              COUNT(i.id) FILTER (WHERE i.provider <> $2) as other_identities
+       FROM users u
+       LEFT JOIN user_identities i ON u.id = i.user_id
+       WHERE u.id = $1
+       GROUP BY u.id`,
+      [req.user.id, provider]
+    );
+
+    const { has_password, other_identities } = methods.rows[0];
+
+    if (!has_password && parseInt(other_identities) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your only sign-in method'
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2 RETURNING id',
+      [req.user.id, provider]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${provider} account is linked`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${provider} account unlinked successfully`
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlinking account',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { query } = require('../config/database');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const validations = require('../middleware/validation');
+const { notify } = require('../utils/notifications');
+const { parsePage, keysetQuery, buildPage } = require('../utils/pagination');
+const { viewableProject } = require('../utils/visibility');
+
+// Shape a comment row for responses
+const formatComment = (row) => ({
+  id: row.id,
+  parent_id: row.parent_id,
+  body: row.body,
+  edited: row.updated_at > row.created_at,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+  author: {
+    id: row.user_id,
+    name: row.author_name,
+    username: row.author_username,
+    avatar_url: row.author_avatar
+  }
+});
+
+// @route   GET /api/projects/:id/comments
+// @desc    Get a project's comments, newest first, each with its replies
+// @access  Public
+router.get('/', optionalAuth, validations.uuidParam, validations.pagination, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parsePage(req.query);
+
+    const projectCheck = await query(
+      `SELECT p.id FROM projects p WHERE p.id = $1 AND ${viewableProject('p', '$2')}`,
+      [id, req.user ? req.user.id : null]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const params = [id];
+    const plan = keysetQuery(page, {
+      keys: [
+        { sql: 'c.created_at', type: 'timestamptz' },
+        { sql: 'c.id', type: 'uuid' }
+      ]
+    }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const commentsResult = await query(
+      `SELECT c.id, c.parent_id, c.body, c.created_at, c.updated_at,
+              u.id as user_id, u.name as author_name, u.username as author_username,
+              u.avatar_url as author_avatar
+              ${plan.select ? `, ${plan.select}` : ''}
+       FROM project_comments c
+       INNER JOIN users u ON c.user_id = u.id
+       WHERE c.project_id = $1 AND c.parent_id IS NULL${plan.where ? ` AND ${plan.where}` : ''}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM project_comments WHERE project_id = $1 AND parent_id IS NULL',
+      [id]
+    );
+
+    const { rows, pagination } = buildPage(commentsResult.rows, page, plan, parseInt(countResult.rows[0].total));
+
+    // Replies for this page, oldest first under their parent
+    const parentIds = rows.map(row => row.id);
+    const repliesResult = parentIds.length > 0
+      ? await query(
+        `SELECT c.id, c.parent_id, c.body, c.created_at, c.updated_at,
+                u.id as user_id, u.name as author_name, u.username as author_username,
+                u.avatar_url as author_avatar
+         FROM project_comments c
+         INNER JOIN users u ON c.user_id = u.id
+         WHERE c.parent_id = ANY($1)
+         ORDER BY c.created_at ASC`,
+        [parentIds]
+      )
+      : { rows: [] };
+
+    const comments = rows.map(row => ({
+      ...formatComment(row),
+      replies: repliesResult.rows
+        .filter(reply => reply.parent_id === row.id)
+        .map(formatComment)
+    }));
+
+    res.json({
+      success: true,
+      data: comments,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/comments
+// @desc    Comment on a project, or reply to a comment with parent_id
+// @access  Private
+router.post('/', authenticate, validations.createComment, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, parent_id } = req.body;
+
+    const projectCheck = await query(
+      `SELECT p.id, p.user_id, p.title FROM projects p WHERE p.id = $1 AND ${viewableProject('p', '$2')}`,
+      [id, req.user.id]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    let parentAuthorId = null;
+
+    if (parent_id) {
+      const parentCheck = await query(
+        'SELECT parent_id, user_id FROM project_comments WHERE id = $1 AND project_id = $2',
+        [parent_id, id]
+      );
+
+      if (parentCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+
+      // Only one level of replies
+      if (parentCheck.rows[0].parent_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a reply'
+        });
+      }
+
+      parentAuthorId = parentCheck.rows[0].user_id;
+    }
+
+    const result = await query(
+      `WITH inserted AS (
+         INSERT INTO project_comments (project_id, user_id, parent_id, body)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, user_id, parent_id, body, created_at, updated_at
+       )
+       SELECT c.id, c.parent_id, c.body, c.created_at, c.updated_at,
+              u.id as user_id, u.name as author_name, u.username as author_username,
+              u.avatar_url as author_avatar
+       FROM inserted c
+       INNER JOIN users u ON c.user_id = u.id`,
+      [id, req.user.id, parent_id || null, body]
+    );
+
+    const comment = formatComment(result.rows[0]);
+
+    // The parent's author hears about a reply; the project owner hears about
+    // everything else on their project, but never twice for one comment
+    const project = projectCheck.rows[0];
+    const data = { project_title: project.title, preview: body.slice(0, 140) };
+
+    if (parentAuthorId) {
+      await notify({
+        userId: parentAuthorId,
+        actorId: req.user.id,
+        type: 'reply',
+        projectId: id,
+        commentId: comment.id,
+        data
+      });
+    }
+
+    if (project.user_id !== parentAuthorId) {
+      await notify({
+        userId: project.user_id,
+        actorId: req.user.id,
+        type: 'comment',
+        projectId: id,
+        commentId: comment.id,
+        data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment posted successfully',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error posting comment',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (author only)
+router.put('/:commentId', authenticate, validations.updateComment, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { body } = req.body;
+
+    const checkResult = await query(
+      'SELECT user_id FROM project_comments WHERE id = $1 AND project_id = $2',
+      [commentId, id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (checkResult.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    const result = await query(
+      `WITH updated AS (
+         UPDATE project_comments SET body = $1 WHERE id = $2
+         RETURNING id, user_id, parent_id, body, created_at, updated_at
+       )
+       SELECT c.id, c.parent_id, c.body, c.created_at, c.updated_at,
+              u.id as user_id, u.name as author_name, u.username as author_username,
+              u.avatar_url as author_avatar
+       FROM updated c
+       INNER JOIN users u ON c.user_id = u.id`,
+      [body, commentId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: formatComment(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/comments/:commentId
+// @desc    Delete a comment (and its replies)
+// @access  Private (comment author or project owner)
+router.delete('/:commentId', authenticate, validations.commentParams, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const checkResult = await query(
+      `SELECT c.user_id, p.user_id as project_owner_id
+       FROM project_comments c
+       INNER JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND c.project_id = $2`,
+      [commentId, id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const { user_id, project_owner_id } = checkResult.rows[0];
+
+    if (user_id !== req.user.id && project_owner_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    await query('DELETE FROM project_comments WHERE id = $1', [commentId]);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,40 +1,97 @@
 const express = require('express');
 const router = express.Router();
+const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, acceptQueryToken, requireVerifiedEmail } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
 const validations = require('../middleware/validation');
+const { notify } = require('../utils/notifications');
+const {
+  POLL_INTERVAL_MS,
+  SETTLE_MS,
+  publish,
+  latestCursor,
+  getEvents,
+  subscribe,
+  waitForEvents
+} = require('../utils/realtime');
+const { parsePage, keysetQuery, buildPage } = require('../utils/pagination');
+
+const LONG_POLL_SECONDS = parseInt(process.env.REALTIME_LONG_POLL_SECONDS) || 8;
+const HEARTBEAT_MS = 25 * 1000;
+
+// Shape a stored event for the stream and long-poll responses
+const formatEvent = (row) => ({
+  id: String(row.id),
+  type: row.type,
+  data: row.data,
+  created_at: row.created_at
+});
 
 // @route   GET /api/messages/conversations
 // @desc    Get all conversations for current user
 // @access  Private
-router.get('/conversations', authenticate, async (req, res) => {
+router.get('/conversations', authenticate, validations.pagination, async (req, res) => {
   try {
+    const page = parsePage(req.query);
+
+    // Most recently active conversations first
+    const params = [req.user.id];
+    const plan = keysetQuery(page, {
+      keys: [
+        { sql: 'c.last_message_time', type: 'timestamptz' },
+        { sql: 'c.other_user_id', type: 'uuid' }
+      ]
+    }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
     const result = await query(
-      `SELECT DISTINCT ON (other_user_id)
-        CASE 
-          WHEN m.sender_id = $1 THEN m.recipient_id 
-          ELSE m.sender_id 
-        END as other_user_id,
-        u.name as other_user_name,
-        u.username as other_user_username,
-        u.avatar_url as other_user_avatar,
-        m.message as last_message,
-        m.created_at as last_message_time,
-        m.is_read,
-        m.sender_id = $1 as sent_by_me
-       FROM messages m
-       INNER JOIN users u ON (
-         CASE 
-           WHEN m.sender_id = $1 THEN m.recipient_id 
-           ELSE m.sender_id 
-         END = u.id
+      `WITH c AS (
+         SELECT DISTINCT ON (other_user_id)
+          CASE 
+            WHEN m.sender_id = $1 THEN m.recipient_id 
+            ELSE m.sender_id 
+          END as other_user_id,
+          u.name as other_user_name,
+          u.username as other_user_username,
+          u.avatar_url as other_user_avatar,
+          m.message as last_message,
+          m.created_at as last_message_time,
+          m.is_read,
+          m.sender_id = $1 as sent_by_me
+         FROM messages m
+         INNER JOIN users u ON (
+           CASE 
+             WHEN m.sender_id = $1 THEN m.recipient_id 
+             ELSE m.sender_id 
+           END = u.id
+         )
+         WHERE m.sender_id = $1 OR m.recipient_id = $1
+         ORDER BY other_user_id, m.created_at DESC
        )
-       WHERE m.sender_id = $1 OR m.recipient_id = $1
-       ORDER BY other_user_id, m.created_at DESC`,
+       SELECT c.*${plan.select ? `, ${plan.select}` : ''}
+       FROM c
+       ${plan.where ? `WHERE ${plan.where}` : ''}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(DISTINCT CASE WHEN sender_id = $1 THEN recipient_id ELSE sender_id END) as total
+       FROM messages
+       WHERE sender_id = $1 OR recipient_id = $1`,
       [req.user.id]
     );
 
-    const conversations = result.rows.map(row => ({
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
+
+    const conversations = rows.map(row => ({
       user: {
         id: row.other_user_id,
         name: row.other_user_name,
@@ -51,7 +108,8 @@ router.get('/conversations', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: conversations
+      data: conversations,
+      pagination
     });
   } catch (error) {
     console.error('Get conversations error:', error);
@@ -63,13 +121,154 @@ router.get('/conversations', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/messages/stream
+// @desc    Server-Sent Events stream of new messages, read receipts, deletions
+//          and typing indicators. Resumes after the Last-Event-ID header or ?since=.
+// @access  Private (Authorization header or ?access_token=)
+router.get('/stream', acceptQueryToken, authenticate, validations.messageEvents, async (req, res) => {
+  try {
+    const lastEventId = req.get('Last-Event-ID');
+    let cursor = /^\d+$/.test(lastEventId || '')
+      ? lastEventId
+      : req.query.since || await latestCursor(req.user.id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${POLL_INTERVAL_MS}\n\n`);
+
+    let closed = false;
+    let pumping = false;
+    let pending = false;
+
+    // Write every event after the cursor. Wake-ups that arrive mid-write
+    // trigger one more pass instead of a parallel one.
+    const pump = async () => {
+      if (pumping) {
+        pending = true;
+        return;
+      }
+      pumping = true;
+
+      try {
+        do {
+          pending = false;
+          const events = await getEvents(req.user.id, cursor);
+          for (const event of events) {
+            if (closed) return;
+            const { id, type, ...rest } = formatEvent(event);
+            res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(rest)}\n\n`);
+            cursor = id;
+          }
+          pending = pending || events.length > 0;
+        } while (pending && !closed);
+      } catch (error) {
+        console.error('Message stream error:', error);
+      } finally {
+        pumping = false;
+      }
+    };
+
+    // Wake-ups cover events from this process, once the events have settled;
+    // polling covers other instances
+    const unsubscribe = subscribe(req.user.id, () => {
+      setTimeout(() => {
+        if (!closed) pump();
+      }, SETTLE_MS);
+    });
+    const poll = setInterval(pump, POLL_INTERVAL_MS);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    // The stream would otherwise outlive the access token. Tell the client
+    // and close, so it reconnects with a fresh token.
+    const { exp } = jwt.decode(req.headers.authorization.substring(7));
+    const expiry = setTimeout(() => {
+      res.write('event: token_expired\ndata: {}\n\n');
+      res.end();
+    }, Math.max(exp * 1000 - Date.now(), 0));
+
+    res.on('close', () => {
+      closed = true;
+      unsubscribe();
+      clearInterval(poll);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+
+    pump();
+  } catch (error) {
+    console.error('Open message stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error opening message stream',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/events
+// @desc    Long-poll for the same events as /stream, for serverless deployments.
+//          Call without ?since= to get a starting cursor, then pass the
+//          returned cursor back as ?since= each time.
+// @access  Private
+router.get('/events', authenticate, validations.messageEvents, async (req, res) => {
+  try {
+    const { since } = req.query;
+
+    if (!since) {
+      return res.json({
+        success: true,
+        data: {
+          events: [],
+          cursor: await latestCursor(req.user.id)
+        }
+      });
+    }
+
+    const timeout = req.query.timeout !== undefined
+      ? parseInt(req.query.timeout)
+      : LONG_POLL_SECONDS;
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    const events = await waitForEvents(req.user.id, since, timeout * 1000, () => closed);
+    if (closed) return;
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(formatEvent),
+        cursor: events.length > 0 ? String(events[events.length - 1].id) : since
+      }
+    });
+  } catch (error) {
+    console.error('Poll message events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching message events',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/messages/:userId
-// @desc    Get messages with a specific user
+// @desc    Get messages with a specific user, oldest first. Without a cursor
+//          this is the latest page; pass prev_cursor as ?before= for older messages.
 // @access  Private
-router.get('/:userId', authenticate, validations.uuidParam, async (req, res) => {
+router.get('/:userId', authenticate, validations.userIdParam, validations.pagination, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const page = parsePage(req.query, { defaultLimit: 50 });
 
     // Check if other user exists
     const userCheck = await query(
@@ -85,27 +284,70 @@ router.get('/:userId', authenticate, validations.uuidParam, async (req, res) =>
     }
 
     // Get messages
+    const params = [req.user.id, userId];
+    const plan = keysetQuery(page, {
+      keys: [
+        { sql: 'm.created_at', type: 'timestamptz' },
+        { sql: 'm.id', type: 'uuid' }
+      ],
+      direction: 'ASC',
+      fromEnd: true
+    }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
     const result = await query(
       `SELECT m.id, m.message, m.is_read, m.created_at,
               m.sender_id, m.recipient_id,
               s.name as sender_name, s.username as sender_username, s.avatar_url as sender_avatar
+              ${plan.select ? `, ${plan.select}` : ''}
        FROM messages m
        INNER JOIN users s ON m.sender_id = s.id
-       WHERE (m.sender_id = $1 AND m.recipient_id = $2)
-          OR (m.sender_id = $2 AND m.recipient_id = $1)
-       ORDER BY m.created_at ASC
-       LIMIT $3 OFFSET $4`,
-      [req.user.id, userId, parseInt(limit), parseInt(offset)]
+       WHERE ((m.sender_id = $1 AND m.recipient_id = $2)
+          OR (m.sender_id = $2 AND m.recipient_id = $1))
+          ${plan.where ? `AND ${plan.where}` : ''}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
     );
 
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM messages
+       WHERE (sender_id = $1 AND recipient_id = $2)
+          OR (sender_id = $2 AND recipient_id = $1)`,
+      [req.user.id, userId]
+    );
+
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
+
     // Mark messages as read
-    await query(
+    const readResult = await query(
       `UPDATE messages SET is_read = true 
-       WHERE recipient_id = $1 AND sender_id = $2 AND is_read = false`,
+       WHERE recipient_id = $1 AND sender_id = $2 AND is_read = false
+       RETURNING id`,
+      [req.user.id, userId]
+    );
+
+    if (readResult.rows.length > 0) {
+      await publish([userId, req.user.id], 'message:read', {
+        message_ids: readResult.rows.map(row => row.id),
+        sender_id: userId,
+        reader_id: req.user.id
+      });
+    }
+
+    // Reading the conversation also clears its message notifications
+    await query(
+      `UPDATE notifications SET read_at = NOW()
+       WHERE user_id = $1 AND actor_id = $2 AND type = 'message' AND read_at IS NULL`,
       [req.user.id, userId]
     );
 
-    const messages = result.rows.map(row => ({
+    const messages = rows.map(row => ({
       id: row.id,
       message: row.message,
       is_read: row.is_read,
@@ -125,11 +367,7 @@ router.get('/:userId', authenticate, validations.uuidParam, async (req, res) =>
         other_user: userCheck.rows[0],
         messages: messages
       },
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        count: messages.length
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get messages error:', error);
@@ -144,7 +382,7 @@ router.get('/:userId', authenticate, validations.uuidParam, async (req, res) =>
 // @route   POST /api/messages
 // @desc    Send a message
 // @access  Private
-router.post('/', authenticate, validations.sendMessage, async (req, res) => {
+router.post('/', authenticate, limiters.sendMessage, requireVerifiedEmail, validations.sendMessage, async (req, res) => {
   try {
     const { recipient_id, message } = req.body;
 
@@ -177,6 +415,16 @@ router.post('/', authenticate, validations.sendMessage, async (req, res) => {
       [req.user.id, recipient_id, message]
     );
 
+    await publish([recipient_id, req.user.id], 'message:new', result.rows[0]);
+
+    await notify({
+      userId: recipient_id,
+      actorId: req.user.id,
+      type: 'message',
+      messageId: result.rows[0].id,
+      data: { preview: message.slice(0, 140) }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
@@ -192,6 +440,45 @@ router.post('/', authenticate, validations.sendMessage, async (req, res) => {
   }
 });
 
+// @route   POST /api/messages/:userId/typing
+// @desc    Tell a user you are (or stopped) typing to them, e.g. { typing: false }
+// @access  Private
+router.post('/:userId/typing', authenticate, limiters.typing, validations.typingIndicator, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const typing = req.body.typing !== false;
+
+    const userCheck = await query(
+      'SELECT id FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userCheck.rows.length === 0 || userId === req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await publish([userId], 'typing', {
+      user_id: req.user.id,
+      typing
+    });
+
+    res.json({
+      success: true,
+      data: { typing }
+    });
+  } catch (error) {
+    console.error('Typing indicator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending typing indicator',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/messages/unread/count
 // @desc    Get unread message count
 // @access  Private
@@ -221,14 +508,14 @@ router.get('/unread/count', authenticate, async (req, res) => {
 // @route   PUT /api/messages/:messageId/read
 // @desc    Mark a message as read
 // @access  Private
-router.put('/:messageId/read', authenticate, validations.uuidParam, async (req, res) => {
+router.put('/:messageId/read', authenticate, validations.messageIdParam, async (req, res) => {
   try {
     const { messageId } = req.params;
 
     const result = await query(
       `UPDATE messages SET is_read = true 
        WHERE id = $1 AND recipient_id = $2
-       RETURNING id, is_read`,
+       RETURNING id, is_read, sender_id`,
       [messageId, req.user.id]
     );
 
@@ -239,10 +526,18 @@ router.put('/:messageId/read', authenticate, validations.uuidParam, async (req,
       });
     }
 
+    const { sender_id, ...message } = result.rows[0];
+
+    await publish([sender_id, req.user.id], 'message:read', {
+      message_ids: [message.id],
+      sender_id,
+      reader_id: req.user.id
+    });
+
     res.json({
       success: true,
       message: 'Message marked as read',
-      data: result.rows[0]
+      data: message
     });
   } catch (error) {
     console.error('Mark as read error:', error);
@@ -257,13 +552,13 @@ router.put('/:messageId/read', authenticate, validations.uuidParam, async (req,
 // @route   DELETE /api/messages/:messageId
 // @desc    Delete a message
 // @access  Private
-router.delete('/:messageId', authenticate, validations.uuidParam, async (req, res) => {
+router.delete('/:messageId', authenticate, validations.messageIdParam, async (req, res) => {
   try {
     const { messageId } = req.params;
 
     // Can only delete messages you sent
     const result = await query(
-      'DELETE FROM messages WHERE id = $1 AND sender_id = $2 RETURNING id',
+      'DELETE FROM messages WHERE id = $1 AND sender_id = $2 RETURNING id, sender_id, recipient_id',
       [messageId, req.user.id]
     );
 
@@ -274,6 +569,8 @@ router.delete('/:messageId', authenticate, validations.uuidParam, async (req, re
       });
     }
 
+    await publish([req.user.id, result.rows[0].recipient_id], 'message:deleted', result.rows[0]);
+
     res.json({
       success: true,
       message: 'Message deleted successfully'
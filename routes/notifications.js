@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const validations = require('../middleware/validation');
+const { getPreferences } = require('../utils/notifications');
+const { parsePage, keysetQuery, buildPage } = require('../utils/pagination');
+
+// Types the user switched off in-app are kept for email digests only
+const VISIBLE_IN_APP = `NOT EXISTS (
+  SELECT 1 FROM notification_preferences np
+  WHERE np.user_id = n.user_id AND np.type = n.type AND np.in_app = false
+)`;
+
+// Shape a notification row for responses
+const formatNotification = (row) => ({
+  id: row.id,
+  type: row.type,
+  is_read: row.read_at !== null,
+  read_at: row.read_at,
+  created_at: row.created_at,
+  project_id: row.project_id,
+  comment_id: row.comment_id,
+  message_id: row.message_id,
+  data: row.data,
+  actor: row.actor_id ? {
+    id: row.actor_id,
+    name: row.actor_name,
+    username: row.actor_username,
+    avatar_url: row.actor_avatar
+  } : null
+});
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first (?unread=true for unread only)
+// @access  Private
+router.get('/', authenticate, validations.pagination, async (req, res) => {
+  try {
+    const { unread } = req.query;
+    const page = parsePage(req.query);
+
+    let whereClause = `WHERE n.user_id = $1 AND ${VISIBLE_IN_APP}`;
+    if (unread === 'true') {
+      whereClause += ' AND n.read_at IS NULL';
+    }
+
+    const params = [req.user.id];
+    const plan = keysetQuery(page, {
+      keys: [
+        { sql: 'n.created_at', type: 'timestamptz' },
+        { sql: 'n.id', type: 'uuid' }
+      ]
+    }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const result = await query(
+      `SELECT n.id, n.type, n.project_id, n.comment_id, n.message_id, n.data,
+              n.read_at, n.created_at, n.actor_id,
+              u.name as actor_name, u.username as actor_username, u.avatar_url as actor_avatar
+              ${plan.select ? `, ${plan.select}` : ''}
+       FROM notifications n
+       LEFT JOIN users u ON n.actor_id = u.id
+       ${whereClause}${plan.where ? ` AND ${plan.where}` : ''}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM notifications n ${whereClause}`,
+      [req.user.id]
+    );
+
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
+
+    res.json({
+      success: true,
+      data: rows.map(formatNotification),
+      pagination
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread/count
+// @desc    Get unread notification count
+// @access  Private
+router.get('/unread/count', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT COUNT(*) as unread_count FROM notifications n
+       WHERE n.user_id = $1 AND n.read_at IS NULL AND ${VISIBLE_IN_APP}`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        unread_count: parseInt(result.rows[0].unread_count)
+      }
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get in-app and email settings for each notification type
+// @access  Private
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getPreferences(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update settings per type, e.g. { preferences: { like: { email: true } } }
+// @access  Private
+router.put('/preferences', authenticate, validations.updateNotificationPreferences, async (req, res) => {
+  try {
+    const current = await getPreferences(req.user.id);
+
+    await transaction(async (client) => {
+      for (const [type, changes] of Object.entries(req.body.preferences)) {
+        const next = { ...current[type], ...changes };
+        await client.query(
+          `INSERT INTO notification_preferences (user_id, type, in_app, email)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, type) DO UPDATE SET in_app = $3, email = $4`,
+          [req.user.id, type, next.in_app, next.email]
+        );
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: await getPreferences(req.user.id)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.rowCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', authenticate, validations.uuidParam, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, read_at`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', authenticate, validations.uuidParam, async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,81 +1,222 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { query, transaction } = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const validations = require('../middleware/validation');
+const { skillsJson, setUserSkills } = require('../utils/skills');
+const { socialLinksJson, formatSocialLinks } = require('../utils/socials');
+const { publicProject, listedProject, canSeeField } = require('../utils/visibility');
+const { hashToken } = require('../utils/tokens');
+const { appUrl } = require('../utils/emails');
+const {
+  MAX_FEATURED_PROJECTS,
+  listFeaturedProjects,
+  isFeaturable,
+  findUnfeaturableProjects,
+  setProjectFeatured,
+  setFeaturedProjects
+} = require('../utils/featured');
+const { EXPORT_FORMATS, toJsonResume, toMarkdown, toPdf } = require('../utils/resume');
+
+// Structured portfolio sections. Both share the same shape; only the
+// organization/title columns differ.
+const ENTRY_SECTIONS = {
+  experience: {
+    table: 'portfolio_experience',
+    label: 'Experience entry',
+    fields: ['company', 'role', 'location', 'start_date', 'end_date', 'is_current', 'description']
+  },
+  education: {
+    table: 'portfolio_education',
+    label: 'Education entry',
+    fields: ['school', 'degree', 'location', 'start_date', 'end_date', 'is_current', 'description']
+  }
+};
+
+// Select-list item with a section's entries for portfolio `p`, in order
+const entriesJson = (section) => {
+  const { table, fields } = ENTRY_SECTIONS[section];
+  return `COALESCE(
+    (SELECT json_agg(
+       json_build_object('id', e.id, ${fields.map(field => `'${field}', e.${field}`).join(', ')}, 'position', e.position)
+       ORDER BY e.position
+     )
+     FROM ${table} e
+     WHERE e.portfolio_id = p.id),
+    '[]'
+  ) as ${section}`;
+};
+
+const MAX_ENTRIES_PER_SECTION = 50;
+
+const getPortfolioId = async (userId) => {
+  const result = await query('SELECT id FROM portfolios WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+// Dates must make sense together once the change is applied: no end date
+// before the start, and no end date on a current entry
+const checkEntryDates = (entry) => {
+  if (entry.is_current && entry.end_date) {
+    return 'A current entry cannot have an end date';
+  }
+  if (entry.start_date && entry.end_date && entry.end_date < entry.start_date) {
+    return 'End date cannot be before start date';
+  }
+  return null;
+};
+
+// Columns returned for an entry. Dates are read as text (YYYY-MM-DD) so
+// they aren't shifted by the server's time zone.
+const entryColumns = (section) => ENTRY_SECTIONS[section].fields
+  .map(field => (field.endsWith('_date') ? `${field}::text as ${field}` : field))
+  .concat('id', 'position')
+  .join(', ');
+
+// Whether a share link token opens the portfolio. Records when it was used.
+const checkShareToken = async (portfolioId, token) => {
+  if (!token) return false;
+
+  const result = await query(
+    `UPDATE portfolio_share_links SET last_used_at = NOW()
+     WHERE portfolio_id = $1 AND token_hash = $2 AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id`,
+    [portfolioId, hashToken(String(token))]
+  );
+  return result.rows.length > 0;
+};
+
+const listEntries = async (section, portfolioId) => {
+  const result = await query(
+    `SELECT ${entryColumns(section)}
+     FROM ${ENTRY_SECTIONS[section].table}
+     WHERE portfolio_id = $1
+     ORDER BY position`,
+    [portfolioId]
+  );
+  return result.rows;
+};
+
+// The portfolio in req.params.username as the requester may see it, with
+// the featured projects that pass `projectFilter` (a condition on `proj`;
+// the viewer is $2). Returns null when it's missing or private to them.
+const findPortfolio = async (req, projectFilter) => {
+  const result = await query(
+    `SELECT 
+      p.id, p.summary, p.visibility, p.created_at, p.updated_at,
+      ${entriesJson('experience')},
+      ${entriesJson('education')},
+      u.id as user_id, u.name, u.username, u.bio, u.avatar_url, u.cover_image_url,
+      u.email, u.email_visibility, u.socials_visibility,
+      EXISTS (
+        SELECT 1 FROM follows f WHERE f.following_id = u.id AND f.follower_id = $2
+      ) as is_following,
+      ${skillsJson('u.id')},
+      ${socialLinksJson('u.id')},
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'id', proj.id,
+            'title', proj.title,
+            'description', proj.description,
+            'image_url', proj.image_url,
+            'demo_url', proj.demo_url,
+            'github_url', proj.github_url,
+            'tags', COALESCE(
+              (SELECT json_agg(t.name ORDER BY t.name)
+               FROM project_tags pt
+               INNER JOIN tags t ON pt.tag_id = t.id
+               WHERE pt.project_id = proj.id),
+              '[]'
+            ),
+            'media', COALESCE(
+              (SELECT json_agg(
+                 json_build_object(
+                   'id', pm.id,
+                   'url', pm.url,
+                   'caption', pm.caption,
+                   'position', pm.position,
+                   'is_cover', pm.is_cover
+                 ) ORDER BY pm.position
+               )
+               FROM project_media pm
+               WHERE pm.project_id = proj.id),
+              '[]'
+            ),
+            'featured_position', proj.featured_position,
+            'created_at', proj.created_at
+          ) ORDER BY proj.featured_position
+        ) FILTER (WHERE proj.is_featured = true AND ${projectFilter}),
+        '[]'
+      ) as featured_projects
+     FROM portfolios p
+     INNER JOIN users u ON p.user_id = u.id
+     LEFT JOIN projects proj ON u.id = proj.user_id
+     WHERE u.username = $1
+     GROUP BY p.id, u.id`,
+    [req.params.username, req.user ? req.user.id : null]
+  );
+
+  const portfolio = result.rows[0];
+  const isOwner = Boolean(portfolio && req.user && req.user.id === portfolio.user_id);
+
+  // Private portfolios look the same as missing ones to everyone else
+  if (!portfolio || (portfolio.visibility === 'private' && !isOwner &&
+      !(await checkShareToken(portfolio.id, req.query.share)))) {
+    return null;
+  }
+
+  return { portfolio, isOwner };
+};
+
+// Response shape of a portfolio from findPortfolio(), with social links
+// hidden unless the owner's privacy settings let the viewer see them
+const formatPortfolio = ({ portfolio, isOwner }) => {
+  const showSocials = canSeeField(portfolio.socials_visibility, {
+    isOwner,
+    isFollower: portfolio.is_following
+  });
+
+  return {
+    id: portfolio.id,
+    summary: portfolio.summary,
+    experience: portfolio.experience,
+    education: portfolio.education,
+    visibility: portfolio.visibility,
+    skills: portfolio.skills,
+    ...formatSocialLinks(showSocials ? portfolio.social_links : []),
+    featured_projects: portfolio.featured_projects,
+    user: {
+      id: portfolio.user_id,
+      name: portfolio.name,
+      username: portfolio.username,
+      bio: portfolio.bio,
+      avatar_url: portfolio.avatar_url,
+      cover_image_url: portfolio.cover_image_url
+    },
+    created_at: portfolio.created_at,
+    updated_at: portfolio.updated_at
+  };
+};
 
 // @route   GET /api/portfolios/:username
-// @desc    Get portfolio by username
+// @desc    Get portfolio by username. Private portfolios need ?share= with a
+//          share link token unless you own them.
 // @access  Public
-router.get('/:username', validations.usernameParam, async (req, res) => {
+router.get('/:username', optionalAuth, validations.usernameParam, async (req, res) => {
   try {
-    const { username } = req.params;
-
-    const result = await query(
-      `SELECT 
-        p.id, p.summary, p.experience, p.education, p.created_at, p.updated_at,
-        u.id as user_id, u.name, u.username, u.bio, u.avatar_url, u.cover_image_url,
-        array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills,
-        json_build_object(
-          'github', MAX(CASE WHEN sl.platform = 'github' THEN sl.url END),
-          'linkedin', MAX(CASE WHEN sl.platform = 'linkedin' THEN sl.url END),
-          'twitter', MAX(CASE WHEN sl.platform = 'twitter' THEN sl.url END),
-          'website', MAX(CASE WHEN sl.platform = 'website' THEN sl.url END)
-        ) as socials,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'id', proj.id,
-              'title', proj.title,
-              'description', proj.description,
-              'image_url', proj.image_url,
-              'demo_url', proj.demo_url,
-              'github_url', proj.github_url,
-              'created_at', proj.created_at
-            )
-          ) FILTER (WHERE proj.is_featured = true),
-          '[]'
-        ) as featured_projects
-       FROM portfolios p
-       INNER JOIN users u ON p.user_id = u.id
-       LEFT JOIN user_skills us ON u.id = us.user_id
-       LEFT JOIN social_links sl ON u.id = sl.user_id
-       LEFT JOIN projects proj ON u.id = proj.user_id
-       WHERE u.username = $1
-       GROUP BY p.id, u.id`,
-      [username]
-    );
-
-    if (result.rows.length === 0) {
+    const found = await findPortfolio(req, listedProject('proj', '$2'));
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Portfolio not found'
       });
     }
 
-    const portfolio = result.rows[0];
-
     res.json({
       success: true,
-      data: {
-        id: portfolio.id,
-        summary: portfolio.summary,
-        experience: portfolio.experience,
-        education: portfolio.education,
-        skills: portfolio.skills || [],
-        socials: portfolio.socials,
-        featured_projects: portfolio.featured_projects,
-        user: {
-          id: portfolio.user_id,
-          name: portfolio.name,
-          username: portfolio.username,
-          bio: portfolio.bio,
-          avatar_url: portfolio.avatar_url,
-          cover_image_url: portfolio.cover_image_url
-        },
-        created_at: portfolio.created_at,
-        updated_at: portfolio.updated_at
-      }
+      data: formatPortfolio(found)
     });
   } catch (error) {
     console.error('Get portfolio error:', error);
@@ -87,6 +228,61 @@ router.get('/:username', validations.usernameParam, async (req, res) => {
   }
 });
 
+// @route   GET /api/portfolios/:username/export
+// @desc    Download a portfolio as a JSON Resume document, Markdown or PDF
+//          (?format=json|markdown|pdf). Same access rules as viewing it;
+//          only published public projects are included.
+// @access  Public
+router.get('/:username/export', optionalAuth, validations.exportPortfolio, async (req, res) => {
+  try {
+    const found = await findPortfolio(req, publicProject('proj'));
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const { portfolio, isOwner } = found;
+    const data = formatPortfolio(found);
+    const showEmail = canSeeField(portfolio.email_visibility, {
+      isOwner,
+      isFollower: portfolio.is_following
+    });
+
+    // Share links aren't written into the document, so private portfolios
+    // are exported without a URL
+    const resume = toJsonResume(data, {
+      email: showEmail ? portfolio.email : null,
+      socialLinks: data.social_links,
+      url: portfolio.visibility === 'public' ? appUrl(`/portfolio/${portfolio.username}`) : null
+    });
+
+    const format = req.query.format || 'json';
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    let body;
+    if (format === 'pdf') {
+      body = toPdf(resume);
+    } else if (format === 'markdown') {
+      body = toMarkdown(resume);
+    } else {
+      body = JSON.stringify(resume, null, 2);
+    }
+
+    res.attachment(`${portfolio.username}-resume.${extension}`);
+    res.type(contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('Export portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting portfolio',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/portfolios/me
 // @desc    Get current user's portfolio
 // @access  Private
@@ -94,15 +290,12 @@ router.get('/me/details', authenticate, async (req, res) => {
   try {
     const result = await query(
       `SELECT 
-        p.id, p.summary, p.experience, p.education, p.created_at, p.updated_at,
+        p.id, p.summary, p.visibility, p.created_at, p.updated_at,
+        ${entriesJson('experience')},
+        ${entriesJson('education')},
         u.id as user_id, u.name, u.username, u.bio, u.avatar_url, u.cover_image_url,
-        array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills,
-        json_build_object(
-          'github', MAX(CASE WHEN sl.platform = 'github' THEN sl.url END),
-          'linkedin', MAX(CASE WHEN sl.platform = 'linkedin' THEN sl.url END),
-          'twitter', MAX(CASE WHEN sl.platform = 'twitter' THEN sl.url END),
-          'website', MAX(CASE WHEN sl.platform = 'website' THEN sl.url END)
-        ) as socials,
+        ${skillsJson('u.id')},
+        ${socialLinksJson('u.id')},
         COALESCE(
           json_agg(
             json_build_object(
@@ -113,6 +306,8 @@ router.get('/me/details', authenticate, async (req, res) => {
               'demo_url', proj.demo_url,
               'github_url', proj.github_url,
               'is_featured', proj.is_featured,
+              'featured_position', proj.featured_position,
+              'visibility', proj.visibility,
               'created_at', proj.created_at
             )
           ) FILTER (WHERE proj.id IS NOT NULL),
@@ -120,8 +315,6 @@ router.get('/me/details', authenticate, async (req, res) => {
         ) as projects
        FROM portfolios p
        INNER JOIN users u ON p.user_id = u.id
-       LEFT JOIN user_skills us ON u.id = us.user_id
-       LEFT JOIN social_links sl ON u.id = sl.user_id
        LEFT JOIN projects proj ON u.id = proj.user_id
        WHERE u.id = $1
        GROUP BY p.id, u.id`,
@@ -144,8 +337,9 @@ router.get('/me/details', authenticate, async (req, res) => {
         summary: portfolio.summary,
         experience: portfolio.experience,
         education: portfolio.education,
-        skills: portfolio.skills || [],
-        socials: portfolio.socials,
+        visibility: portfolio.visibility,
+        skills: portfolio.skills,
+        ...formatSocialLinks(portfolio.social_links),
         projects: portfolio.projects,
         user: {
           id: portfolio.user_id,
@@ -174,7 +368,18 @@ router.get('/me/details', authenticate, async (req, res) => {
 // @access  Private
 router.put('/', authenticate, validations.updatePortfolio, async (req, res) => {
   try {
-    const { summary, experience, education, skills, featured_projects } = req.body;
+    const { summary, visibility, skills, featured_projects } = req.body;
+
+    if (featured_projects !== undefined) {
+      const invalidIds = await findUnfeaturableProjects(req.user.id, featured_projects);
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some featured projects were not found, do not belong to you or are not published and public',
+          invalid_ids: invalidIds
+        });
+      }
+    }
 
     await transaction(async (client) => {
       // Update portfolio
@@ -187,14 +392,10 @@ router.put('/', authenticate, validations.updatePortfolio, async (req, res) => {
         values.push(summary);
         paramCount++;
       }
-      if (experience !== undefined) {
-        updates.push(`experience = $${paramCount}`);
-        values.push(experience);
-        paramCount++;
-      }
-      if (education !== undefined) {
-        updates.push(`education = $${paramCount}`);
-        values.push(education);
+
+      if (visibility !== undefined) {
+        updates.push(`visibility = $${paramCount}`);
+        values.push(visibility);
         paramCount++;
       }
 
@@ -207,56 +408,34 @@ router.put('/', authenticate, validations.updatePortfolio, async (req, res) => {
       }
 
       // Update skills if provided
-      if (skills !== undefined && Array.isArray(skills)) {
-        await client.query('DELETE FROM user_skills WHERE user_id = $1', [req.user.id]);
-        
-        if (skills.length > 0) {
-          const skillValues = skills.map((skill, index) => 
-            `($1, $${index + 2})`
-          ).join(', ');
-          
-          await client.query(
-            `INSERT INTO user_skills (user_id, skill) VALUES ${skillValues}`,
-            [req.user.id, ...skills]
-          );
-        }
+      if (skills !== undefined) {
+        await setUserSkills(client, req.user.id, skills);
       }
 
-      // Update featured projects if provided
-      if (featured_projects !== undefined && Array.isArray(featured_projects)) {
-        // First, unfeature all projects
-        await client.query(
-          'UPDATE projects SET is_featured = false WHERE user_id = $1',
-          [req.user.id]
-        );
-
-        // Then feature the selected ones
-        if (featured_projects.length > 0) {
-          const projectIds = featured_projects.map((_, index) => `$${index + 2}`).join(', ');
-          await client.query(
-            `UPDATE projects SET is_featured = true 
-             WHERE user_id = $1 AND id IN (${projectIds})`,
-            [req.user.id, ...featured_projects]
-          );
-        }
+      // Update featured projects if provided, in the order given
+      if (featured_projects !== undefined) {
+        await setFeaturedProjects(client, req.user.id, featured_projects);
       }
     });
 
     // Fetch updated portfolio
     const result = await query(
-      `SELECT p.id, p.summary, p.experience, p.education, p.updated_at,
-              array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills
+      `SELECT p.id, p.summary, p.visibility, p.updated_at,
+              ${entriesJson('experience')},
+              ${entriesJson('education')},
+              ${skillsJson('p.user_id')}
        FROM portfolios p
-       LEFT JOIN user_skills us ON p.user_id = us.user_id
-       WHERE p.user_id = $1
-       GROUP BY p.id`,
+       WHERE p.user_id = $1`,
       [req.user.id]
     );
 
     res.json({
       success: true,
       message: 'Portfolio updated successfully',
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        featured_projects: await listFeaturedProjects(req.user.id)
+      }
     });
   } catch (error) {
     console.error('Update portfolio error:', error);
@@ -268,16 +447,162 @@ router.put('/', authenticate, validations.updatePortfolio, async (req, res) => {
   }
 });
 
+// @route   GET /api/portfolios/me/share-links
+// @desc    List share links for your portfolio
+// @access  Private
+router.get('/me/share-links', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT sl.id, sl.label, sl.expires_at, sl.last_used_at, sl.created_at,
+              (sl.expires_at IS NOT NULL AND sl.expires_at <= NOW()) as expired
+       FROM portfolio_share_links sl
+       INNER JOIN portfolios p ON sl.portfolio_id = p.id
+       WHERE p.user_id = $1
+       ORDER BY sl.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching share links',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/portfolios/me/share-links
+// @desc    Create a link that opens your portfolio while it's private
+//          (optional label and expires_in_days). The token is only shown once.
+// @access  Private
+router.post('/me/share-links', authenticate, validations.createShareLink, async (req, res) => {
+  try {
+    const { label, expires_in_days } = req.body;
+
+    const portfolioId = await getPortfolioId(req.user.id);
+    if (!portfolioId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    const result = await query(
+      `INSERT INTO portfolio_share_links (portfolio_id, token_hash, label, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+       RETURNING id, label, expires_at, created_at`,
+      [portfolioId, hashToken(token), label || null, expires_in_days || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: {
+        ...result.rows[0],
+        token,
+        url: appUrl(`/portfolio/${req.user.username}?share=${token}`)
+      }
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating share link',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/portfolios/me/share-links/:linkId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/me/share-links/:linkId', authenticate, validations.shareLinkParam, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM portfolio_share_links
+       WHERE id = $1 AND portfolio_id = (SELECT id FROM portfolios WHERE user_id = $2)
+       RETURNING id`,
+      [req.params.linkId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking share link',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/portfolios/featured/reorder
+// @desc    Reorder featured projects
+// @access  Private
+router.put('/featured/reorder', authenticate, validations.reorderFeatured, async (req, res) => {
+  try {
+    const { project_ids } = req.body;
+
+    const existingIds = (await listFeaturedProjects(req.user.id)).map(project => project.id);
+
+    // The new order must list every featured project exactly once
+    const sameSet = project_ids.length === existingIds.length &&
+      new Set(project_ids).size === project_ids.length &&
+      project_ids.every(projectId => existingIds.includes(projectId));
+
+    if (!sameSet) {
+      return res.status(400).json({
+        success: false,
+        message: 'project_ids must list every featured project exactly once'
+      });
+    }
+
+    await transaction(async (client) => {
+      await setFeaturedProjects(client, req.user.id, project_ids);
+    });
+
+    res.json({
+      success: true,
+      message: 'Featured projects reordered successfully',
+      data: await listFeaturedProjects(req.user.id)
+    });
+  } catch (error) {
+    console.error('Reorder featured projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering featured projects',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/portfolios/featured/:projectId
 // @desc    Toggle featured status of a project
 // @access  Private
-router.post('/featured/:projectId', authenticate, async (req, res) => {
+router.post('/featured/:projectId', authenticate, validations.featuredParam, async (req, res) => {
   try {
     const { projectId } = req.params;
 
     // Check if project belongs to user
     const checkResult = await query(
-      'SELECT id, is_featured FROM projects WHERE id = $1 AND user_id = $2',
+      'SELECT id, is_featured, status, visibility FROM projects WHERE id = $1 AND user_id = $2',
       [projectId, req.user.id]
     );
 
@@ -290,18 +615,36 @@ router.post('/featured/:projectId', authenticate, async (req, res) => {
 
     const currentStatus = checkResult.rows[0].is_featured;
 
-    // Toggle featured status
-    const result = await query(
-      'UPDATE projects SET is_featured = $1 WHERE id = $2 RETURNING is_featured',
-      [!currentStatus, projectId]
-    );
+    if (!currentStatus && !isFeaturable(checkResult.rows[0])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only published public projects can be featured'
+      });
+    }
+
+    // Toggle featured status. New featured projects go at the end.
+    const changed = await transaction(async (client) => {
+      return setProjectFeatured(client, req.user.id, projectId, !currentStatus);
+    });
+
+    if (!changed) {
+      return res.status(400).json({
+        success: false,
+        message: `You can feature at most ${MAX_FEATURED_PROJECTS} projects`
+      });
+    }
+
+    const featured = await listFeaturedProjects(req.user.id);
+    const featuredProject = featured.find(project => project.id === projectId);
 
     res.json({
       success: true,
       message: `Project ${!currentStatus ? 'featured' : 'unfeatured'} successfully`,
       data: {
         project_id: projectId,
-        is_featured: result.rows[0].is_featured
+        is_featured: !currentStatus,
+        featured_position: featuredProject ? featuredProject.featured_position : null,
+        featured_projects: featured
       }
     });
   } catch (error) {
@@ -314,4 +657,253 @@ router.post('/featured/:projectId', authenticate, async (req, res) => {
   }
 });
 
+// Handlers shared by the experience and education routes
+const createEntry = (section) => async (req, res) => {
+  const { table, label, fields } = ENTRY_SECTIONS[section];
+
+  try {
+    const entry = Object.fromEntries(fields.map(field => [field, req.body[field] ?? null]));
+    entry.is_current = entry.is_current === true;
+
+    const dateError = checkEntryDates(entry);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    const portfolioId = await getPortfolioId(req.user.id);
+    if (!portfolioId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM ${table} WHERE portfolio_id = $1`,
+      [portfolioId]
+    );
+
+    if (parseInt(countResult.rows[0].total) >= MAX_ENTRIES_PER_SECTION) {
+      return res.status(400).json({
+        success: false,
+        message: `A portfolio can have at most ${MAX_ENTRIES_PER_SECTION} ${section} entries`
+      });
+    }
+
+    // New entries go last
+    const result = await query(
+      `INSERT INTO ${table} (portfolio_id, ${fields.join(', ')}, position)
+       SELECT $1, ${fields.map((_, index) => `$${index + 2}`).join(', ')}, COALESCE(MAX(position) + 1, 0)
+       FROM ${table}
+       WHERE portfolio_id = $1
+       RETURNING ${entryColumns(section)}`,
+      [portfolioId, ...fields.map(field => entry[field])]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${label} added successfully`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(`Create ${section} entry error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error adding ${section} entry`,
+      error: error.message
+    });
+  }
+};
+
+const updateEntry = (section) => async (req, res) => {
+  const { table, label, fields } = ENTRY_SECTIONS[section];
+
+  try {
+    const { entryId } = req.params;
+
+    const existing = await query(
+      `SELECT ${entryColumns(section)}
+       FROM ${table}
+       WHERE id = $1 AND portfolio_id = (SELECT id FROM portfolios WHERE user_id = $2)`,
+      [entryId, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    const changed = fields.filter(field => req.body[field] !== undefined);
+
+    if (changed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const dateError = checkEntryDates({
+      ...existing.rows[0],
+      ...Object.fromEntries(changed.map(field => [field, req.body[field]]))
+    });
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    const updates = changed.map((field, index) => `${field} = $${index + 1}`);
+    const values = changed.map(field => req.body[field]);
+    values.push(entryId);
+
+    const result = await query(
+      `UPDATE ${table} SET ${updates.join(', ')}
+       WHERE id = $${values.length}
+       RETURNING ${entryColumns(section)}`,
+      values
+    );
+
+    res.json({
+      success: true,
+      message: `${label} updated successfully`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(`Update ${section} entry error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error updating ${section} entry`,
+      error: error.message
+    });
+  }
+};
+
+const deleteEntry = (section) => async (req, res) => {
+  const { table, label } = ENTRY_SECTIONS[section];
+
+  try {
+    const result = await query(
+      `DELETE FROM ${table}
+       WHERE id = $1 AND portfolio_id = (SELECT id FROM portfolios WHERE user_id = $2)
+       RETURNING id`,
+      [req.params.entryId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${label} deleted successfully`
+    });
+  } catch (error) {
+    console.error(`Delete ${section} entry error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error deleting ${section} entry`,
+      error: error.message
+    });
+  }
+};
+
+const reorderEntries = (section) => async (req, res) => {
+  const { table } = ENTRY_SECTIONS[section];
+
+  try {
+    const { entry_ids } = req.body;
+
+    const portfolioId = await getPortfolioId(req.user.id);
+    if (!portfolioId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const existingIds = (await listEntries(section, portfolioId)).map(entry => entry.id);
+
+    // The new order must list every entry exactly once
+    const sameSet = entry_ids.length === existingIds.length &&
+      new Set(entry_ids).size === entry_ids.length &&
+      entry_ids.every(entryId => existingIds.includes(entryId));
+
+    if (!sameSet) {
+      return res.status(400).json({
+        success: false,
+        message: `entry_ids must list every ${section} entry exactly once`
+      });
+    }
+
+    await query(
+      `UPDATE ${table} e SET position = o.position - 1
+       FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, position)
+       WHERE e.id = o.id AND e.portfolio_id = $1`,
+      [portfolioId, entry_ids]
+    );
+
+    res.json({
+      success: true,
+      message: 'Entries reordered successfully',
+      data: await listEntries(section, portfolioId)
+    });
+  } catch (error) {
+    console.error(`Reorder ${section} entries error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error reordering ${section} entries`,
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/portfolios/experience
+// @desc    Add an experience entry
+// @access  Private
+router.post('/experience', authenticate, validations.createExperience, createEntry('experience'));
+
+// @route   PUT /api/portfolios/experience/reorder
+// @desc    Reorder experience entries
+// @access  Private
+router.put('/experience/reorder', authenticate, validations.reorderEntries, reorderEntries('experience'));
+
+// @route   PUT /api/portfolios/experience/:entryId
+// @desc    Update an experience entry
+// @access  Private
+router.put('/experience/:entryId', authenticate, validations.updateExperience, updateEntry('experience'));
+
+// @route   DELETE /api/portfolios/experience/:entryId
+// @desc    Delete an experience entry
+// @access  Private
+router.delete('/experience/:entryId', authenticate, validations.entryParam, deleteEntry('experience'));
+
+// @route   POST /api/portfolios/education
+// @desc    Add an education entry
+// @access  Private
+router.post('/education', authenticate, validations.createEducation, createEntry('education'));
+
+// @route   PUT /api/portfolios/education/reorder
+// @desc    Reorder education entries
+// @access  Private
+router.put('/education/reorder', authenticate, validations.reorderEntries, reorderEntries('education'));
+
+// @route   PUT /api/portfolios/education/:entryId
+// @desc    Update an education entry
+// @access  Private
+router.put('/education/:entryId', authenticate, validations.updateEducation, updateEntry('education'));
+
+// @route   DELETE /api/portfolios/education/:entryId
+// @desc    Delete an education entry
+// @access  Private
+router.delete('/education/:entryId', authenticate, validations.entryParam, deleteEntry('education'));
+
 module.exports = router;
\ No newline at end of file
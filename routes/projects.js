@@ -1,66 +1,184 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
 const validations = require('../middleware/validation');
+const { saveImage, removeImage } = require('../utils/storage');
+const { slugifyTag, parseTagFilter, setProjectTags } = require('../utils/tags');
+const { notify } = require('../utils/notifications');
+const { parsePage, keysetQuery, buildPage } = require('../utils/pagination');
+const { toPrefixQuery, tsQuery } = require('../utils/search');
+const { publicProject, listedProject, viewableProject } = require('../utils/visibility');
+const { MAX_FEATURED_PROJECTS, isFeaturable, setProjectFeatured } = require('../utils/featured');
+
+const MAX_MEDIA_PER_PROJECT = 20;
+
+// Columns returned after creating or changing a project
+const PROJECT_COLUMNS = `id, user_id, title, description, image_url, demo_url, github_url,
+  is_featured, featured_position, visibility, status, published_at, like_count, comment_count, created_at, updated_at`;
+
+// Look up a project for a write by `userId`. Returns { project } or
+// { status, message } to send when it's missing or someone else's.
+const findOwnedProject = async (id, userId) => {
+  const result = await query(
+    'SELECT id, user_id FROM projects WHERE id = $1',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, message: 'Project not found' };
+  }
+
+  if (result.rows[0].user_id !== userId) {
+    return { status: 403, message: 'Not authorized to update this project' };
+  }
+
+  return { project: result.rows[0] };
+};
 
 // @route   GET /api/projects
 // @desc    Get all projects (feed)
 // @access  Public
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validations.pagination, async (req, res) => {
   try {
     const { 
       username, 
       search, 
-      limit = 20, 
-      offset = 0,
-      sort = 'recent' // recent, popular
+      sort, // recent, popular, trending, relevance (default when searching)
+      tags,
+      tag_match = 'any', // any, all
+      feed // following
     } = req.query;
+    const page = parsePage(req.query);
 
-    let queryText = `
-      SELECT p.id, p.title, p.description, p.image_url, p.demo_url, p.github_url,
-             p.is_featured, p.created_at, p.updated_at,
-             u.id as user_id, u.name as author_name, u.username as author_username,
-             u.avatar_url as author_avatar
-      FROM projects p
-      INNER JOIN users u ON p.user_id = u.id
-    `;
+    if (feed === 'following' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login required to see your following feed'
+      });
+    }
 
-    const conditions = [];
-    const params = [];
-    let paramCount = 1;
+    const params = [req.user ? req.user.id : null];
+    const viewerParam = '$1';
+
+    // Drafts, scheduled, archived, unlisted and private projects only show
+    // up for their owner
+    const conditions = [listedProject('p', viewerParam)];
+
+    // Only projects by people the current user follows
+    if (feed === 'following') {
+      conditions.push(`p.user_id IN (SELECT following_id FROM follows WHERE follower_id = ${viewerParam})`);
+    }
 
     // Filter by username
     if (username) {
-      conditions.push(`u.username = $${paramCount}`);
       params.push(username);
-      paramCount++;
+      conditions.push(`u.username = $${params.length}`);
     }
 
-    // Search in title and description
-    if (search) {
-      conditions.push(`(p.title ILIKE $${paramCount} OR p.description ILIKE $${paramCount})`);
-      params.push(`%${search}%`);
-      paramCount++;
+    // Full-text search over title, description and tags
+    let searchParam = null;
+    const searchQuery = search ? toPrefixQuery(search) : null;
+    if (searchQuery) {
+      params.push(searchQuery);
+      searchParam = `$${params.length}`;
+      conditions.push(`p.id IN (SELECT project_id FROM project_search WHERE document @@ ${tsQuery(searchParam)})`);
+    } else if (search) {
+      // Nothing searchable, e.g. only punctuation
+      conditions.push('false');
     }
 
-    if (conditions.length > 0) {
-      queryText += ` WHERE ${conditions.join(' AND ')}`;
+    // Filter by tags: projects with any of them, or with all of them
+    const tagSlugs = parseTagFilter(tags);
+    if (tagSlugs.length > 0) {
+      params.push(tagSlugs);
+      conditions.push(`p.id IN (
+        SELECT pt.project_id
+        FROM project_tags pt
+        INNER JOIN tags t ON pt.tag_id = t.id
+        WHERE t.slug = ANY($${params.length})
+        GROUP BY pt.project_id
+        ${tag_match === 'all' ? `HAVING COUNT(*) = ${tagSlugs.length}` : ''}
+      )`);
     }
 
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM projects p
+       INNER JOIN users u ON p.user_id = u.id
+       WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
     // Sorting
-    if (sort === 'recent') {
-      queryText += ` ORDER BY p.created_at DESC`;
+    // Newest by publish time; the owner's unpublished projects by creation
+    const publishedKeys = [
+      { sql: 'COALESCE(p.published_at, p.created_at)', type: 'timestamptz' },
+      { sql: 'p.id', type: 'uuid' }
+    ];
+    const sortOrders = {
+      recent: { keys: publishedKeys },
+      popular: { keys: [{ sql: 'p.like_count', type: 'int' }, ...publishedKeys] },
+      // Each like from the last 30 days counts less the older it is
+      // (1 / (hours + 2)^1.5), so recently liked projects rise to the top.
+      // The score changes over time, so this sort pages by offset.
+      trending: {
+        keys: null,
+        orderBy: `(
+          SELECT COALESCE(SUM(POWER(EXTRACT(EPOCH FROM NOW() - pl.created_at) / 3600 + 2, -1.5)), 0)
+          FROM project_likes pl
+          WHERE pl.project_id = p.id AND pl.created_at > NOW() - INTERVAL '30 days'
+        ) DESC, p.created_at DESC, p.id DESC`
+      },
+      relevance: searchParam && {
+        keys: null,
+        orderBy: `(
+          SELECT ts_rank(ps.document, ${tsQuery(searchParam)}) FROM project_search ps WHERE ps.project_id = p.id
+        ) DESC, p.created_at DESC, p.id DESC`
+      }
+    };
+    const sortOrder = sortOrders[sort || (searchParam ? 'relevance' : 'recent')] || sortOrders.recent;
+
+    const plan = keysetQuery(page, sortOrder, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
     }
 
-    // Pagination
-    queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    params.push(parseInt(limit), parseInt(offset));
+    if (plan.where) conditions.push(plan.where);
 
-    const result = await query(queryText, params);
+    const result = await query(
+      `SELECT p.id, p.title, p.description, p.image_url, p.demo_url, p.github_url,
+              p.is_featured, p.visibility, p.status, p.published_at,
+              p.like_count, p.comment_count, p.created_at, p.updated_at,
+              EXISTS (
+                SELECT 1 FROM project_likes pl WHERE pl.project_id = p.id AND pl.user_id = ${viewerParam}
+              ) as liked_by_me,
+              u.id as user_id, u.name as author_name, u.username as author_username,
+              u.avatar_url as author_avatar,
+              COALESCE(
+                (SELECT json_agg(t.name ORDER BY t.name)
+                 FROM project_tags pt
+                 INNER JOIN tags t ON pt.tag_id = t.id
+                 WHERE pt.project_id = p.id),
+                '[]'
+              ) as tags
+              ${plan.select ? `, ${plan.select}` : ''}
+       FROM projects p
+       INNER JOIN users u ON p.user_id = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
+    );
+
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
 
     // Format response
-    const projects = result.rows.map(row => ({
+    const projects = rows.map(row => ({
       id: row.id,
       title: row.title,
       description: row.description,
@@ -68,6 +186,13 @@ router.get('/', optionalAuth, async (req, res) => {
       demo_url: row.demo_url,
       github_url: row.github_url,
       is_featured: row.is_featured,
+      visibility: row.visibility,
+      status: row.status,
+      published_at: row.published_at,
+      tags: row.tags,
+      like_count: row.like_count,
+      liked_by_me: row.liked_by_me,
+      comment_count: row.comment_count,
       created_at: row.created_at,
       updated_at: row.updated_at,
       author: {
@@ -81,11 +206,7 @@ router.get('/', optionalAuth, async (req, res) => {
     res.json({
       success: true,
       data: projects,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        count: projects.length
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get projects error:', error);
@@ -97,22 +218,90 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/projects/tags
+// @desc    Get tags with their project counts (for filter UIs)
+// @access  Public
+router.get('/tags', validations.listTags, async (req, res) => {
+  try {
+    const { search, limit = 50 } = req.query;
+
+    const params = [];
+    let queryText = `
+      SELECT t.name, t.slug, COUNT(pt.project_id) as project_count
+      FROM tags t
+      INNER JOIN project_tags pt ON t.id = pt.tag_id
+      INNER JOIN projects p ON pt.project_id = p.id AND ${publicProject('p')}
+    `;
+
+    if (search) {
+      queryText += ` WHERE t.slug LIKE $1`;
+      params.push(`${slugifyTag(search).replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    queryText += ` GROUP BY t.id ORDER BY project_count DESC, t.name LIMIT $${params.length + 1}`;
+    params.push(parseInt(limit));
+
+    const result = await query(queryText, params);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        name: row.name,
+        slug: row.slug,
+        project_count: parseInt(row.project_count)
+      }))
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/projects/:id
 // @desc    Get single project by ID
 // @access  Public
-router.get('/:id', validations.uuidParam, async (req, res) => {
+router.get('/:id', optionalAuth, validations.uuidParam, async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(
       `SELECT p.id, p.title, p.description, p.image_url, p.demo_url, p.github_url,
-              p.is_featured, p.created_at, p.updated_at,
+              p.is_featured, p.visibility, p.status, p.published_at,
+              p.like_count, p.comment_count, p.created_at, p.updated_at,
+              EXISTS (
+                SELECT 1 FROM project_likes pl WHERE pl.project_id = p.id AND pl.user_id = $2
+              ) as liked_by_me,
               u.id as user_id, u.name as author_name, u.username as author_username,
-              u.avatar_url as author_avatar, u.bio as author_bio
+              u.avatar_url as author_avatar, u.bio as author_bio,
+              COALESCE(
+                (SELECT json_agg(t.name ORDER BY t.name)
+                 FROM project_tags pt
+                 INNER JOIN tags t ON pt.tag_id = t.id
+                 WHERE pt.project_id = p.id),
+                '[]'
+              ) as tags,
+              COALESCE(
+                (SELECT json_agg(
+                   json_build_object(
+                     'id', pm.id,
+                     'url', pm.url,
+                     'caption', pm.caption,
+                     'position', pm.position,
+                     'is_cover', pm.is_cover
+                   ) ORDER BY pm.position
+                 )
+                 FROM project_media pm
+                 WHERE pm.project_id = p.id),
+                '[]'
+              ) as media
        FROM projects p
        INNER JOIN users u ON p.user_id = u.id
-       WHERE p.id = $1`,
-      [id]
+       WHERE p.id = $1 AND ${viewableProject('p', '$2')}`,
+      [id, req.user ? req.user.id : null]
     );
 
     if (result.rows.length === 0) {
@@ -131,6 +320,14 @@ router.get('/:id', validations.uuidParam, async (req, res) => {
       demo_url: row.demo_url,
       github_url: row.github_url,
       is_featured: row.is_featured,
+      visibility: row.visibility,
+      status: row.status,
+      published_at: row.published_at,
+      tags: row.tags,
+      media: row.media,
+      like_count: row.like_count,
+      liked_by_me: row.liked_by_me,
+      comment_count: row.comment_count,
       created_at: row.created_at,
       updated_at: row.updated_at,
       author: {
@@ -161,20 +358,37 @@ router.get('/:id', validations.uuidParam, async (req, res) => {
 // @access  Private
 router.post('/', authenticate, validations.createProject, async (req, res) => {
   try {
-    const { title, description, image_url, demo_url, github_url } = req.body;
+    const {
+      title, description, image_url, demo_url, github_url,
+      visibility = 'public', status = 'draft', publish_at, tags = []
+    } = req.body;
 
-    const result = await query(
-      `INSERT INTO projects (user_id, title, description, image_url, demo_url, github_url)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, user_id, title, description, image_url, demo_url, github_url, 
-                 is_featured, created_at, updated_at`,
-      [req.user.id, title, description, image_url || null, demo_url || null, github_url || null]
-    );
+    // New projects are drafts unless published now or scheduled
+    const initialStatus = publish_at ? 'published' : status;
+
+    const project = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO projects (user_id, title, description, image_url, demo_url, github_url, visibility,
+                               status, published_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::varchar,
+                 CASE WHEN $8::varchar = 'published' THEN COALESCE($9::timestamptz, NOW()) END)
+         RETURNING ${PROJECT_COLUMNS}`,
+        [
+          req.user.id, title, description, image_url || null, demo_url || null, github_url || null,
+          visibility, initialStatus, publish_at || null
+        ]
+      );
+
+      const created = result.rows[0];
+      created.tags = await setProjectTags(client, created.id, tags);
+
+      return created;
+    });
 
     res.status(201).json({
       success: true,
       message: 'Project created successfully',
-      data: result.rows[0]
+      data: project
     });
   } catch (error) {
     console.error('Create project error:', error);
@@ -192,11 +406,11 @@ router.post('/', authenticate, validations.createProject, async (req, res) => {
 router.put('/:id', authenticate, validations.updateProject, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, image_url, demo_url, github_url, is_featured } = req.body;
+    const { title, description, image_url, demo_url, github_url, is_featured, visibility, tags } = req.body;
 
     // Check if project exists and belongs to user
     const checkResult = await query(
-      'SELECT user_id FROM projects WHERE id = $1',
+      'SELECT user_id, image_url, is_featured, status, visibility FROM projects WHERE id = $1',
       [id]
     );
 
@@ -244,32 +458,80 @@ router.put('/:id', authenticate, validations.updateProject, async (req, res) =>
       values.push(github_url);
       paramCount++;
     }
-    if (is_featured !== undefined) {
-      updates.push(`is_featured = $${paramCount}`);
-      values.push(is_featured);
+    if (visibility !== undefined) {
+      updates.push(`visibility = $${paramCount}`);
+      values.push(visibility);
       paramCount++;
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && tags === undefined && is_featured === undefined) {
       return res.status(400).json({
         success: false,
         message: 'No fields to update'
       });
     }
 
+    const current = checkResult.rows[0];
+
+    if (is_featured && !current.is_featured &&
+        !isFeaturable({ status: current.status, visibility: visibility || current.visibility })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only published public projects can be featured'
+      });
+    }
+
+    // Making a project unlisted or private takes it off the featured list
+    const featured = visibility !== undefined && visibility !== 'public' ? false : is_featured;
+
     values.push(id);
 
-    const result = await query(
-      `UPDATE projects SET ${updates.join(', ')} WHERE id = $${paramCount}
-       RETURNING id, user_id, title, description, image_url, demo_url, github_url,
-                 is_featured, created_at, updated_at`,
-      values
-    );
+    const project = await transaction(async (client) => {
+      if (featured !== undefined && !(await setProjectFeatured(client, req.user.id, id, featured))) {
+        return null;
+      }
+
+      // With only tags or is_featured given, the no-op update still returns the row
+      const result = await client.query(
+        `UPDATE projects SET ${updates.length > 0 ? updates.join(', ') : 'id = id'} WHERE id = $${paramCount}
+         RETURNING ${PROJECT_COLUMNS}`,
+        values
+      );
+
+      const updated = result.rows[0];
+
+      if (tags !== undefined) {
+        updated.tags = await setProjectTags(client, id, tags);
+      } else {
+        const tagResult = await client.query(
+          `SELECT t.name FROM project_tags pt
+           INNER JOIN tags t ON pt.tag_id = t.id
+           WHERE pt.project_id = $1
+           ORDER BY t.name`,
+          [id]
+        );
+        updated.tags = tagResult.rows.map(row => row.name);
+      }
+
+      return updated;
+    });
+
+    if (!project) {
+      return res.status(400).json({
+        success: false,
+        message: `You can feature at most ${MAX_FEATURED_PROJECTS} projects`
+      });
+    }
+
+    // Drop the old upload if the image was replaced
+    if (current.image_url !== project.image_url) {
+      await removeImage(current.image_url, `projects/${id}`);
+    }
 
     res.json({
       success: true,
       message: 'Project updated successfully',
-      data: result.rows[0]
+      data: project
     });
   } catch (error) {
     console.error('Update project error:', error);
@@ -290,7 +552,7 @@ router.delete('/:id', authenticate, validations.uuidParam, async (req, res) => {
 
     // Check if project exists and belongs to user
     const checkResult = await query(
-      'SELECT user_id FROM projects WHERE id = $1',
+      'SELECT user_id, image_url FROM projects WHERE id = $1',
       [id]
     );
 
@@ -308,7 +570,21 @@ router.delete('/:id', authenticate, validations.uuidParam, async (req, res) => {
       });
     }
 
-    await query('DELETE FROM projects WHERE id = $1', [id]);
+    const media = await query(
+      'SELECT url FROM project_media WHERE project_id = $1',
+      [id]
+    );
+
+    await transaction(async (client) => {
+      // Close the gap it leaves in the owner's featured projects
+      await setProjectFeatured(client, req.user.id, id, false);
+      await client.query('DELETE FROM projects WHERE id = $1', [id]);
+    });
+
+    await removeImage(checkResult.rows[0].image_url, `projects/${id}`);
+    for (const { url } of media.rows) {
+      await removeImage(url, `projects/${id}`);
+    }
 
     res.json({
       success: true,
@@ -324,26 +600,645 @@ router.delete('/:id', authenticate, validations.uuidParam, async (req, res) => {
   }
 });
 
+// @route   POST /api/projects/:id/image
+// @desc    Upload project image (multipart field "image")
+// @access  Private
+router.post('/:id/image', authenticate, validations.uuidParam, uploadImage, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const checkResult = await query(
+      'SELECT user_id, image_url FROM projects WHERE id = $1',
+      [id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (checkResult.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this project'
+      });
+    }
+
+    const url = await saveImage(req.file, `projects/${id}`);
+
+    await query(
+      'UPDATE projects SET image_url = $1 WHERE id = $2',
+      [url, id]
+    );
+
+    await removeImage(checkResult.rows[0].image_url, `projects/${id}`);
+
+    res.json({
+      success: true,
+      message: 'Project image uploaded successfully',
+      data: { image_url: url }
+    });
+  } catch (error) {
+    console.error('Upload project image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading project image',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/image
+// @desc    Remove project image
+// @access  Private
+router.delete('/:id/image', authenticate, validations.uuidParam, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const checkResult = await query(
+      'SELECT user_id, image_url FROM projects WHERE id = $1',
+      [id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (checkResult.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this project'
+      });
+    }
+
+    await query('UPDATE projects SET image_url = NULL WHERE id = $1', [id]);
+    await removeImage(checkResult.rows[0].image_url, `projects/${id}`);
+
+    res.json({
+      success: true,
+      message: 'Project image removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete project image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing project image',
+      error: error.message
+    });
+  }
+});
+
+// Handlers for the publish/unpublish/archive routes
+const changeStatus = (status) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const publishAt = status === 'published' ? req.body.publish_at || null : null;
+
+    const owned = await findOwnedProject(id, req.user.id);
+    if (!owned.project) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.message
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      // Drafts and archived projects can't stay featured
+      if (status !== 'published') {
+        await setProjectFeatured(client, req.user.id, id, false);
+      }
+
+      return client.query(
+        `UPDATE projects
+         SET status = $1::varchar,
+             published_at = CASE WHEN $1::varchar = 'published' THEN COALESCE($2::timestamptz, NOW())
+                                 WHEN $1::varchar = 'archived' THEN published_at END
+         WHERE id = $3
+         RETURNING id, status, published_at`,
+        [status, publishAt, id]
+      );
+    });
+
+    const messages = {
+      published: publishAt ? 'Project scheduled for publishing' : 'Project published',
+      draft: 'Project moved back to drafts',
+      archived: 'Project archived'
+    };
+
+    res.json({
+      success: true,
+      message: messages[status],
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(`Change project status to ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating project status',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/projects/:id/publish
+// @desc    Publish a project now, or at a future `publish_at`
+// @access  Private
+router.post('/:id/publish', authenticate, validations.publishProject, changeStatus('published'));
+
+// @route   POST /api/projects/:id/unpublish
+// @desc    Move a project back to drafts
+// @access  Private
+router.post('/:id/unpublish', authenticate, validations.uuidParam, changeStatus('draft'));
+
+// @route   POST /api/projects/:id/archive
+// @desc    Archive a project: hidden from lists but still reachable by its link
+// @access  Private
+router.post('/:id/archive', authenticate, validations.uuidParam, changeStatus('archived'));
+
+// @route   POST /api/projects/:id/like
+// @desc    Like a project
+// @access  Private
+router.post('/:id/like', authenticate, validations.uuidParam, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const checkResult = await query(
+      `SELECT p.user_id, p.title FROM projects p WHERE p.id = $1 AND ${viewableProject('p', '$2')}`,
+      [id, req.user.id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (checkResult.rows[0].user_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot like your own project'
+      });
+    }
+
+    // Liking twice is a no-op
+    const inserted = await query(
+      `INSERT INTO project_likes (user_id, project_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [req.user.id, id]
+    );
+
+    if (inserted.rowCount > 0) {
+      await notify({
+        userId: checkResult.rows[0].user_id,
+        actorId: req.user.id,
+        type: 'like',
+        projectId: id,
+        data: { project_title: checkResult.rows[0].title }
+      });
+    }
+
+    const result = await query(
+      'SELECT like_count FROM projects WHERE id = $1',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Project liked',
+      data: {
+        project_id: id,
+        like_count: result.rows[0].like_count,
+        liked_by_me: true
+      }
+    });
+  } catch (error) {
+    console.error('Like project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error liking project',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/like
+// @desc    Remove a like from a project
+// @access  Private
+router.delete('/:id/like', authenticate, validations.uuidParam, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await query(
+      'DELETE FROM project_likes WHERE user_id = $1 AND project_id = $2',
+      [req.user.id, id]
+    );
+
+    const result = await query(
+      'SELECT like_count FROM projects WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Like removed',
+      data: {
+        project_id: id,
+        like_count: result.rows[0].like_count,
+        liked_by_me: false
+      }
+    });
+  } catch (error) {
+    console.error('Unlike project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing like',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/media
+// @desc    Get a project's media gallery
+// @access  Public
+router.get('/:id/media', optionalAuth, validations.uuidParam, async (req, res) => {
+  try {
+    const projectCheck = await query(
+      `SELECT p.id FROM projects p WHERE p.id = $1 AND ${viewableProject('p', '$2')}`,
+      [req.params.id, req.user ? req.user.id : null]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const result = await query(
+      `SELECT id, url, caption, position, is_cover, created_at
+       FROM project_media
+       WHERE project_id = $1
+       ORDER BY position`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get project media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project media',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/media
+// @desc    Add an image to a project's gallery (multipart field "image",
+//          optional "caption" and "is_cover")
+// @access  Private
+router.post('/:id/media', authenticate, validations.uuidParam, uploadImage, validations.createMedia, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { caption } = req.body;
+
+    const owned = await findOwnedProject(id, req.user.id);
+    if (!owned.project) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.message
+      });
+    }
+
+    const countResult = await query(
+      'SELECT COUNT(*) as count FROM project_media WHERE project_id = $1',
+      [id]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= MAX_MEDIA_PER_PROJECT) {
+      return res.status(400).json({
+        success: false,
+        message: `A project can have at most ${MAX_MEDIA_PER_PROJECT} images`
+      });
+    }
+
+    const url = await saveImage(req.file, `projects/${id}/media`);
+
+    const media = await transaction(async (client) => {
+      // The first image becomes the cover unless another is chosen
+      const hasCover = await client.query(
+        'SELECT 1 FROM project_media WHERE project_id = $1 AND is_cover',
+        [id]
+      );
+      const isCover = req.body.is_cover === true || hasCover.rows.length === 0;
+
+      if (isCover) {
+        await client.query(
+          'UPDATE project_media SET is_cover = false WHERE project_id = $1 AND is_cover',
+          [id]
+        );
+      }
+
+      const result = await client.query(
+        `INSERT INTO project_media (project_id, url, caption, position, is_cover)
+         VALUES ($1, $2, $3,
+                 (SELECT COALESCE(MAX(position) + 1, 0) FROM project_media WHERE project_id = $1),
+                 $4)
+         RETURNING id, url, caption, position, is_cover, created_at`,
+        [id, url, caption || null, isCover]
+      );
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Image added successfully',
+      data: media
+    });
+  } catch (error) {
+    console.error('Add project media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding image',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/media/reorder
+// @desc    Reorder a project's gallery
+// @access  Private
+router.put('/:id/media/reorder', authenticate, validations.reorderMedia, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { media_ids } = req.body;
+
+    const owned = await findOwnedProject(id, req.user.id);
+    if (!owned.project) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.message
+      });
+    }
+
+    const existing = await query(
+      'SELECT id FROM project_media WHERE project_id = $1',
+      [id]
+    );
+    const existingIds = existing.rows.map(row => row.id);
+
+    // The new order must list every image exactly once
+    const sameSet = media_ids.length === existingIds.length &&
+      new Set(media_ids).size === media_ids.length &&
+      media_ids.every(mediaId => existingIds.includes(mediaId));
+
+    if (!sameSet) {
+      return res.status(400).json({
+        success: false,
+        message: 'media_ids must list every image of the project exactly once'
+      });
+    }
+
+    await query(
+      `UPDATE project_media pm SET position = o.position - 1
+       FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, position)
+       WHERE pm.id = o.id AND pm.project_id = $1`,
+      [id, media_ids]
+    );
+
+    const result = await query(
+      `SELECT id, url, caption, position, is_cover, created_at
+       FROM project_media
+       WHERE project_id = $1
+       ORDER BY position`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Gallery reordered successfully',
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Reorder project media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering gallery',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/media/:mediaId
+// @desc    Update an image's caption or make it the cover
+// @access  Private
+router.put('/:id/media/:mediaId', authenticate, validations.updateMedia, async (req, res) => {
+  try {
+    const { id, mediaId } = req.params;
+    const { caption, is_cover } = req.body;
+
+    const owned = await findOwnedProject(id, req.user.id);
+    if (!owned.project) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.message
+      });
+    }
+
+    if (caption === undefined && is_cover === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const media = await transaction(async (client) => {
+      if (is_cover === true) {
+        await client.query(
+          'UPDATE project_media SET is_cover = false WHERE project_id = $1 AND is_cover AND id <> $2',
+          [id, mediaId]
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE project_media
+         SET caption = CASE WHEN $3 THEN $4 ELSE caption END,
+             is_cover = COALESCE($5, is_cover)
+         WHERE id = $1 AND project_id = $2
+         RETURNING id, url, caption, position, is_cover, created_at`,
+        [mediaId, id, caption !== undefined, caption || null, is_cover === undefined ? null : is_cover]
+      );
+
+      return result.rows[0];
+    });
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: media
+    });
+  } catch (error) {
+    console.error('Update project media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating image',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/media/:mediaId
+// @desc    Remove an image from a project's gallery
+// @access  Private
+router.delete('/:id/media/:mediaId', authenticate, validations.mediaParams, async (req, res) => {
+  try {
+    const { id, mediaId } = req.params;
+
+    const owned = await findOwnedProject(id, req.user.id);
+    if (!owned.project) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.message
+      });
+    }
+
+    const removed = await transaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM project_media WHERE id = $1 AND project_id = $2
+         RETURNING url, position, is_cover`,
+        [mediaId, id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const deleted = result.rows[0];
+
+      // Close the gap and hand the cover to the first remaining image
+      await client.query(
+        'UPDATE project_media SET position = position - 1 WHERE project_id = $1 AND position > $2',
+        [id, deleted.position]
+      );
+
+      if (deleted.is_cover) {
+        await client.query(
+          `UPDATE project_media SET is_cover = true
+           WHERE id = (SELECT id FROM project_media WHERE project_id = $1 ORDER BY position LIMIT 1)`,
+          [id]
+        );
+      }
+
+      return deleted;
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    await removeImage(removed.url, `projects/${id}`);
+
+    res.json({
+      success: true,
+      message: 'Image removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete project media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing image',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/projects/user/:username
-// @desc    Get all projects by a specific user
+// @desc    Get all projects by a specific user (unlisted and private ones only for the user)
 // @access  Public
-router.get('/user/:username', validations.usernameParam, async (req, res) => {
+router.get('/user/:username', optionalAuth, validations.usernameParam, validations.pagination, async (req, res) => {
   try {
     const { username } = req.params;
+    const page = parsePage(req.query);
+
+    const params = [username, req.user ? req.user.id : null];
+    const conditions = ['u.username = $1', listedProject('p', '$2')];
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM projects p
+       INNER JOIN users u ON p.user_id = u.id
+       WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    const plan = keysetQuery(page, {
+      keys: [
+        { sql: 'p.created_at', type: 'timestamptz' },
+        { sql: 'p.id', type: 'uuid' }
+      ]
+    }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    if (plan.where) conditions.push(plan.where);
 
     const result = await query(
       `SELECT p.id, p.title, p.description, p.image_url, p.demo_url, p.github_url,
-              p.is_featured, p.created_at, p.updated_at
+              p.is_featured, p.visibility, p.status, p.published_at,
+              p.like_count, p.comment_count, p.created_at, p.updated_at,
+              COALESCE(
+                (SELECT json_agg(t.name ORDER BY t.name)
+                 FROM project_tags pt
+                 INNER JOIN tags t ON pt.tag_id = t.id
+                 WHERE pt.project_id = p.id),
+                '[]'
+              ) as tags
+              ${plan.select ? `, ${plan.select}` : ''}
        FROM projects p
        INNER JOIN users u ON p.user_id = u.id
-       WHERE u.username = $1
-       ORDER BY p.created_at DESC`,
-      [username]
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
     );
 
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
+
     res.json({
       success: true,
-      data: result.rows
+      data: rows,
+      pagination
     });
   } catch (error) {
     console.error('Get user projects error:', error);
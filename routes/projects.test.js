@@ -0,0 +1,111 @@
+jest.mock('../config/database', () => require('../config/testDatabase').createTestDatabase());
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Starting the database and applying the migrations takes a few seconds
+jest.setTimeout(60000);
+
+const express = require('express');
+const request = require('supertest');
+const { query, pool } = require('../config/database');
+const { generateAccessToken } = require('../utils/tokens');
+const projectRoutes = require('./projects');
+
+const app = express();
+app.use(express.json());
+app.use('/api/projects', projectRoutes);
+
+let token;
+
+beforeAll(async () => {
+  const result = await query(
+    `INSERT INTO users (name, username, email, password_hash)
+     VALUES ('Ada', 'ada', 'ada@example.com', 'x')
+     RETURNING id`
+  );
+  token = `Bearer ${generateAccessToken(result.rows[0].id)}`;
+});
+
+afterAll(async () => {
+  await pool.end();
+});
+
+const createProject = (body) => request(app)
+  .post('/api/projects')
+  .set('Authorization', token)
+  .send({ title: 'Compiler', description: 'A small compiler', ...body });
+
+const changeStatus = (id, action, body = {}) => request(app)
+  .post(`/api/projects/${id}/${action}`)
+  .set('Authorization', token)
+  .send(body);
+
+describe('POST /api/projects', () => {
+  it('saves new projects as drafts', async () => {
+    const res = await createProject();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'draft', published_at: null });
+  });
+
+  it('publishes right away with status published', async () => {
+    const res = await createProject({ status: 'published' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('published');
+    expect(res.body.data.published_at).not.toBeNull();
+  });
+
+  it('schedules projects with a future publish_at', async () => {
+    const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const res = await createProject({ publish_at: publishAt });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('published');
+    expect(new Date(res.body.data.published_at).toISOString()).toBe(publishAt);
+  });
+});
+
+describe('project status changes', () => {
+  it('publishes, unpublishes and archives a project', async () => {
+    const { id } = (await createProject()).body.data;
+
+    const published = await changeStatus(id, 'publish');
+    expect(published.status).toBe(200);
+    expect(published.body.data.status).toBe('published');
+    const publishedAt = published.body.data.published_at;
+    expect(publishedAt).not.toBeNull();
+
+    // Archiving keeps the publish time; moving back to drafts clears it
+    const archived = await changeStatus(id, 'archive');
+    expect(archived.status).toBe(200);
+    expect(archived.body.data).toMatchObject({ status: 'archived', published_at: publishedAt });
+
+    const unpublished = await changeStatus(id, 'unpublish');
+    expect(unpublished.status).toBe(200);
+    expect(unpublished.body.data).toMatchObject({ status: 'draft', published_at: null });
+  });
+
+  it('takes a project off the featured list when it is unpublished', async () => {
+    const first = (await createProject({ status: 'published' })).body.data;
+    const second = (await createProject({ status: 'published' })).body.data;
+
+    for (const { id } of [first, second]) {
+      const res = await request(app)
+        .put(`/api/projects/${id}`)
+        .set('Authorization', token)
+        .send({ is_featured: true });
+      expect(res.status).toBe(200);
+    }
+
+    expect((await changeStatus(first.id, 'unpublish')).status).toBe(200);
+
+    const result = await query(
+      'SELECT id, is_featured, featured_position FROM projects WHERE id = ANY($1::uuid[]) ORDER BY title',
+      [[first.id, second.id]]
+    );
+    const byId = Object.fromEntries(result.rows.map(row => [row.id, row]));
+    expect(byId[first.id]).toMatchObject({ is_featured: false, featured_position: null });
+    expect(byId[second.id]).toMatchObject({ is_featured: true, featured_position: 0 });
+  });
+});
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const validations = require('../middleware/validation');
+const { parsePage, keysetQuery, buildPage } = require('../utils/pagination');
+const { HEADLINE_OPTIONS, toPrefixQuery, tsQuery, headline, highlight } = require('../utils/search');
+const { publicProject } = require('../utils/visibility');
+
+// @route   GET /api/search
+// @desc    Search developers and projects by relevance (?q=, ?type=all|users|projects)
+// @access  Public
+router.get('/', validations.search, validations.pagination, async (req, res) => {
+  try {
+    const { q, type = 'all' } = req.query;
+    const page = parsePage(req.query);
+
+    const searchQuery = toPrefixQuery(q);
+    if (!searchQuery) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must contain letters or numbers'
+      });
+    }
+
+    // Matches from each searched type, ranked against each other
+    const sources = [];
+    if (type !== 'projects') {
+      sources.push(
+        `SELECT 'user' as type, us.user_id as id, ts_rank(us.document, ${tsQuery('$1')}) as rank
+         FROM user_search us
+         WHERE us.document @@ ${tsQuery('$1')}`
+      );
+    }
+    if (type !== 'users') {
+      sources.push(
+        `SELECT 'project' as type, ps.project_id as id, ts_rank(ps.document, ${tsQuery('$1')}) as rank
+         FROM project_search ps
+         INNER JOIN projects p ON ps.project_id = p.id
+         WHERE ps.document @@ ${tsQuery('$1')} AND ${publicProject('p')}`
+      );
+    }
+    const matches = sources.join(' UNION ALL ');
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM (${matches}) matches`,
+      [searchQuery]
+    );
+
+    const params = [searchQuery];
+    const plan = keysetQuery(page, { keys: null, orderBy: 'rank DESC, type, id' }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const result = await query(
+      `SELECT type, id, rank FROM (${matches}) matches
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit} OFFSET ${plan.offset}`,
+      params
+    );
+
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
+
+    const idsOf = (resultType) => rows.filter(row => row.type === resultType).map(row => row.id);
+    const userIds = idsOf('user');
+    const projectIds = idsOf('project');
+
+    const usersResult = userIds.length > 0
+      ? await query(
+        `SELECT u.id, u.name, u.username, u.bio, u.avatar_url,
+                COALESCE(
+                  (SELECT json_agg(us.skill ORDER BY us.skill) FROM user_skills us WHERE us.user_id = u.id),
+                  '[]'
+                ) as skills,
+                ${headline('u.name', '$1', '$2')} as name_highlight,
+                ${headline('u.bio', '$1', '$2')} as bio_highlight
+         FROM users u
+         WHERE u.id = ANY($3)`,
+        [searchQuery, HEADLINE_OPTIONS, userIds]
+      )
+      : { rows: [] };
+
+    const projectsResult = projectIds.length > 0
+      ? await query(
+        `SELECT p.id, p.title, p.description, p.image_url, p.like_count, p.comment_count,
+                p.created_at,
+                u.id as user_id, u.name as author_name, u.username as author_username,
+                u.avatar_url as author_avatar,
+                COALESCE(
+                  (SELECT json_agg(t.name ORDER BY t.name)
+                   FROM project_tags pt
+                   INNER JOIN tags t ON pt.tag_id = t.id
+                   WHERE pt.project_id = p.id),
+                  '[]'
+                ) as tags,
+                ${headline('p.title', '$1', '$2')} as title_highlight,
+                ${headline('p.description', '$1', '$2')} as description_highlight
+         FROM projects p
+         INNER JOIN users u ON p.user_id = u.id
+         WHERE p.id = ANY($3)`,
+        [searchQuery, HEADLINE_OPTIONS, projectIds]
+      )
+      : { rows: [] };
+
+    const users = new Map(usersResult.rows.map(row => [row.id, row]));
+    const projects = new Map(projectsResult.rows.map(row => [row.id, row]));
+
+    // Keep the ranked order; skip anything deleted between the two queries
+    const results = rows
+      .map((row) => {
+        if (row.type === 'user') {
+          const user = users.get(row.id);
+          return user && {
+            type: 'user',
+            rank: row.rank,
+            item: {
+              id: user.id,
+              name: user.name,
+              username: user.username,
+              bio: user.bio,
+              avatar_url: user.avatar_url,
+              skills: user.skills
+            },
+            highlights: {
+              name: highlight(user.name_highlight),
+              bio: highlight(user.bio_highlight)
+            }
+          };
+        }
+
+        const project = projects.get(row.id);
+        return project && {
+          type: 'project',
+          rank: row.rank,
+          item: {
+            id: project.id,
+            title: project.title,
+            description: project.description,
+            image_url: project.image_url,
+            tags: project.tags,
+            like_count: project.like_count,
+            comment_count: project.comment_count,
+            created_at: project.created_at,
+            author: {
+              id: project.user_id,
+              name: project.author_name,
+              username: project.author_username,
+              avatar_url: project.author_avatar
+            }
+          },
+          highlights: {
+            title: highlight(project.title_highlight),
+            description: highlight(project.description_highlight)
+          }
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      success: true,
+      data: results,
+      pagination
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { query, transaction } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const {
+  limiters,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../middleware/rateLimit');
+const validations = require('../middleware/validation');
+const { issueTokens } = require('../utils/tokens');
+const { generateSecret, otpauthUri } = require('../utils/totp');
+const {
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status for the current user
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.totp_enabled,
+              COUNT(rc.id) FILTER (WHERE rc.used_at IS NULL) as recovery_codes_remaining
+       FROM users u
+       LEFT JOIN two_factor_recovery_codes rc ON u.id = rc.user_id
+       WHERE u.id = $1
+       GROUP BY u.id`,
+      [req.user.id]
+    );
+
+    const row = result.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        enabled: row.totp_enabled,
+        recovery_codes_remaining: parseInt(row.recovery_codes_remaining)
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate a TOTP secret to enroll an authenticator app
+// @access  Private
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows[0].totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Stored but inactive until confirmed with a code at /enable
+    const secret = generateSecret();
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauth_url: otpauthUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a TOTP code and get recovery codes
+// @access  Private
+router.post('/enable', authenticate, validations.twoFactorCode, async (req, res) => {
+  try {
+    const status = await query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const { totp_secret, totp_enabled } = status.rows[0];
+
+    if (totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!totp_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!(await verifyTotp(req.user.id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await transaction(async (client) => {
+      await client.query(
+        'UPDATE users SET totp_enabled = true WHERE id = $1',
+        [req.user.id]
+      );
+      return generateRecoveryCodes(client, req.user.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', authenticate, validations.twoFactorConfirm, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const result = await query(
+      'SELECT password_hash, totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Accounts with a password must confirm it as well
+    if (user.password_hash && !(password && await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL
+         WHERE id = $1`,
+        [req.user.id]
+      );
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [req.user.id]);
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/recovery-codes', authenticate, validations.twoFactorCode, async (req, res) => {
+  try {
+    const status = await query(
+      'SELECT totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (!status.rows[0].totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyTotp(req.user.id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await transaction((client) => generateRecoveryCodes(client, req.user.id));
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Your old codes no longer work.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating recovery codes',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Exchange a login challenge token and a TOTP or recovery code for a session
+// @access  Public
+router.post('/verify', limiters.login, validations.twoFactorVerify, async (req, res) => {
+  try {
+    const userId = verifyChallengeToken(req.body.challenge_token);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please login again.'
+      });
+    }
+
+    // Same progressive lockout as passwords, keyed per account
+    const lockoutKey = `2fa:${userId}`;
+    const lockedFor = await getLoginLockout(lockoutKey);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please try again later.'
+      });
+    }
+
+    if (!(await verifySecondFactor(userId, req.body))) {
+      const lockout = await recordLoginFailure(lockoutKey);
+      if (lockout > 0) {
+        res.set('Retry-After', String(lockout));
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await clearLoginFailures(lockoutKey);
+
+    const result = await query(
+      'SELECT id, name, username, email, email_verified, avatar_url FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists.'
+      });
+    }
+
+    const tokens = await issueTokens(userId, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: result.rows[0],
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,43 +3,134 @@ const router = express.Router();
 const { query, transaction } = require('../config/database');
 const { authenticate, optionalAuth } = require('../middleware/auth');
 const validations = require('../middleware/validation');
+const { uploadImage } = require('../middleware/upload');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { saveImage, removeImage } = require('../utils/storage');
+const { notify } = require('../utils/notifications');
+const { parsePage, keysetQuery, buildPage } = require('../utils/pagination');
+const { toPrefixQuery, tsQuery } = require('../utils/search');
+const { parseSkillFilter, skillsJson, setUserSkills } = require('../utils/skills');
+const { SOCIAL_PLATFORMS, socialLinksJson, formatSocialLinks, setSocialLinks } = require('../utils/socials');
+const { publicProject, listedProject, canSeeField } = require('../utils/visibility');
+
+// Storage folder of each uploaded user image; files live under <folder>/<userId>
+const USER_IMAGE_FOLDERS = {
+  avatar_url: 'avatars',
+  cover_image_url: 'covers'
+};
 
 // @route   GET /api/users
-// @desc    Get all users (for discovery/search)
+// @desc    Get all users (for discovery/search). Filter with ?skills=a,b&skill_match=any|all,
+//          ?min_projects=, ?has_featured=true; sort with ?sort=recent|projects
 // @access  Public
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validations.listUsers, validations.pagination, async (req, res) => {
   try {
-    const { search, limit = 20, offset = 0 } = req.query;
-
-    let queryText = `
-      SELECT u.id, u.name, u.username, u.bio, u.avatar_url,
-             array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills,
-             COUNT(DISTINCT p.id) as project_count
-      FROM users u
-      LEFT JOIN user_skills us ON u.id = us.user_id
-      LEFT JOIN projects p ON u.id = p.user_id
-    `;
+    const {
+      search,
+      skills,
+      skill_match = 'any', // any, all
+      min_projects,
+      has_featured,
+      sort // recent, projects, relevance (default when searching)
+    } = req.query;
+    const page = parsePage(req.query);
 
+    const conditions = [];
     const params = [];
     
-    if (search) {
-      queryText += ` WHERE u.name ILIKE $1 OR u.username ILIKE $1 OR u.bio ILIKE $1`;
-      params.push(`%${search}%`);
+    // Full-text search, best matches first
+    const searchQuery = search ? toPrefixQuery(search) : null;
+    if (searchQuery) {
+      params.push(searchQuery);
+      conditions.push(`u.id IN (SELECT user_id FROM user_search WHERE document @@ ${tsQuery('$1')})`);
+    } else if (search) {
+      // Nothing searchable, e.g. only punctuation
+      conditions.push('false');
+    }
+
+    // Developers with any (or all) of the given skills, ignoring case
+    const skillFilter = parseSkillFilter(skills);
+    if (skillFilter.length > 0) {
+      params.push(skillFilter);
+      conditions.push(`u.id IN (
+        SELECT user_id
+        FROM user_skills
+        WHERE LOWER(skill) = ANY($${params.length})
+        GROUP BY user_id
+        ${skill_match === 'all' ? `HAVING COUNT(DISTINCT LOWER(skill)) = ${skillFilter.length}` : ''}
+      )`);
+    }
+
+    // Discovery only counts what everyone can see
+    const projectCount = `(SELECT COUNT(*) FROM projects pc WHERE pc.user_id = u.id AND ${publicProject('pc')})`;
+
+    if (min_projects !== undefined) {
+      params.push(parseInt(min_projects));
+      conditions.push(`${projectCount} >= $${params.length}`);
     }
 
-    queryText += ` GROUP BY u.id ORDER BY u.created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(parseInt(limit), parseInt(offset));
+    // Has a portfolio that shows off at least one featured project
+    if (has_featured === 'true') {
+      conditions.push(`EXISTS (SELECT 1 FROM portfolios po WHERE po.user_id = u.id AND po.visibility = 'public')
+        AND EXISTS (
+          SELECT 1 FROM projects fp
+          WHERE fp.user_id = u.id AND fp.is_featured = true AND ${publicProject('fp')}
+        )`);
+    }
 
-    const result = await query(queryText, params);
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM users u
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+      params
+    );
+
+    // Sorting
+    const createdAtKeys = [
+      { sql: 'u.created_at', type: 'timestamptz' },
+      { sql: 'u.id', type: 'uuid' }
+    ];
+    const sortOrders = {
+      recent: { keys: createdAtKeys },
+      projects: { keys: [{ sql: projectCount, type: 'bigint' }, ...createdAtKeys] },
+      relevance: searchQuery && {
+        keys: null,
+        orderBy: `(SELECT ts_rank(document, ${tsQuery('$1')}) FROM user_search WHERE user_id = u.id) DESC,
+                  u.created_at DESC, u.id DESC`
+      }
+    };
+    const sortOrder = sortOrders[sort || (searchQuery ? 'relevance' : 'recent')] || sortOrders.recent;
+
+    const plan = keysetQuery(page, sortOrder, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    if (plan.where) conditions.push(plan.where);
+
+    const result = await query(
+      `SELECT u.id, u.name, u.username, u.bio, u.avatar_url,
+              array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills,
+              COUNT(DISTINCT p.id) as project_count
+              ${plan.select ? `, ${plan.select}` : ''}
+       FROM users u
+       LEFT JOIN user_skills us ON u.id = us.user_id
+       LEFT JOIN projects p ON u.id = p.user_id AND ${publicProject('p')}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       GROUP BY u.id
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
+    );
+
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
 
     res.json({
       success: true,
-      data: result.rows,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: result.rows.length
-      }
+      data: rows,
+      pagination
     });
   } catch (error) {
     console.error('Get users error:', error);
@@ -52,30 +143,29 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // @route   GET /api/users/:username
-// @desc    Get user by username
+// @desc    Get user by username. Email and social links follow the user's
+//          privacy settings.
 // @access  Public
-router.get('/:username', validations.usernameParam, async (req, res) => {
+router.get('/:username', optionalAuth, validations.usernameParam, async (req, res) => {
   try {
     const { username } = req.params;
 
     const result = await query(
       `SELECT u.id, u.name, u.username, u.email, u.bio, u.avatar_url, u.cover_image_url,
-              u.created_at,
-              array_agg(DISTINCT us.skill) FILTER (WHERE us.skill IS NOT NULL) as skills,
-              json_build_object(
-                'github', MAX(CASE WHEN sl.platform = 'github' THEN sl.url END),
-                'linkedin', MAX(CASE WHEN sl.platform = 'linkedin' THEN sl.url END),
-                'twitter', MAX(CASE WHEN sl.platform = 'twitter' THEN sl.url END),
-                'website', MAX(CASE WHEN sl.platform = 'website' THEN sl.url END)
-              ) as socials,
+              u.created_at, u.email_visibility, u.socials_visibility,
+              (SELECT COUNT(*) FROM follows f WHERE f.following_id = u.id)::int as follower_count,
+              (SELECT COUNT(*) FROM follows f WHERE f.follower_id = u.id)::int as following_count,
+              EXISTS (
+                SELECT 1 FROM follows f WHERE f.following_id = u.id AND f.follower_id = $2
+              ) as is_following,
+              ${skillsJson('u.id', '$2')},
+              ${socialLinksJson('u.id')},
               COUNT(DISTINCT p.id) as project_count
        FROM users u
-       LEFT JOIN user_skills us ON u.id = us.user_id
-       LEFT JOIN social_links sl ON u.id = sl.user_id
-       LEFT JOIN projects p ON u.id = p.user_id
+       LEFT JOIN projects p ON u.id = p.user_id AND ${listedProject('p', '$2')}
        WHERE u.username = $1
        GROUP BY u.id`,
-      [username]
+      [username, req.user ? req.user.id : null]
     );
 
     if (result.rows.length === 0) {
@@ -85,9 +175,19 @@ router.get('/:username', validations.usernameParam, async (req, res) => {
       });
     }
 
+    const { email, email_visibility, socials_visibility, social_links, ...user } = result.rows[0];
+    const viewer = {
+      isOwner: req.user ? req.user.id === user.id : false,
+      isFollower: user.is_following
+    };
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...user,
+        email: canSeeField(email_visibility, viewer) ? email : null,
+        ...formatSocialLinks(canSeeField(socials_visibility, viewer) ? social_links : [])
+      }
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -99,6 +199,237 @@ router.get('/:username', validations.usernameParam, async (req, res) => {
   }
 });
 
+// Lists the followers or followed users of :username, newest first
+const listFollows = (direction) => async (req, res) => {
+  try {
+    const { username } = req.params;
+    const page = parsePage(req.query);
+
+    const userCheck = await query(
+      'SELECT id FROM users WHERE username = $1',
+      [username]
+    );
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // followers: people following the user; following: people the user follows
+    const [matchColumn, otherColumn] = direction === 'followers'
+      ? ['following_id', 'follower_id']
+      : ['follower_id', 'following_id'];
+
+    const params = [userCheck.rows[0].id];
+    const plan = keysetQuery(page, {
+      keys: [
+        { sql: 'f.created_at', type: 'timestamptz' },
+        { sql: `f.${otherColumn}`, type: 'uuid' }
+      ]
+    }, params);
+    if (plan.invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const result = await query(
+      `SELECT u.id, u.name, u.username, u.bio, u.avatar_url, f.created_at as followed_at
+              ${plan.select ? `, ${plan.select}` : ''}
+       FROM follows f
+       INNER JOIN users u ON f.${otherColumn} = u.id
+       WHERE f.${matchColumn} = $1${plan.where ? ` AND ${plan.where}` : ''}
+       ORDER BY ${plan.orderBy}
+       LIMIT ${plan.limit}${plan.offset ? ` OFFSET ${plan.offset}` : ''}`,
+      params
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM follows WHERE ${matchColumn} = $1`,
+      [userCheck.rows[0].id]
+    );
+
+    const { rows, pagination } = buildPage(result.rows, page, plan, parseInt(countResult.rows[0].total));
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination
+    });
+  } catch (error) {
+    console.error(`Get ${direction} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error fetching ${direction}`,
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/users/:username/followers
+// @desc    Get users following a user
+// @access  Public
+router.get('/:username/followers', validations.usernameParam, validations.pagination, listFollows('followers'));
+
+// @route   GET /api/users/:username/following
+// @desc    Get users a user follows
+// @access  Public
+router.get('/:username/following', validations.usernameParam, validations.pagination, listFollows('following'));
+
+// @route   POST /api/users/:username/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:username/follow', authenticate, validations.usernameParam, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const userCheck = await query(
+      'SELECT id FROM users WHERE username = $1',
+      [username]
+    );
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const followingId = userCheck.rows[0].id;
+
+    if (followingId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    // Following twice is a no-op
+    const inserted = await query(
+      `INSERT INTO follows (follower_id, following_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [req.user.id, followingId]
+    );
+
+    if (inserted.rowCount > 0) {
+      await notify({ userId: followingId, actorId: req.user.id, type: 'follow' });
+    }
+
+    res.json({
+      success: true,
+      message: `You are now following ${username}`,
+      data: {
+        user_id: followingId,
+        is_following: true
+      }
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error following user',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/:username/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:username/follow', authenticate, validations.usernameParam, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const result = await query(
+      `DELETE FROM follows
+       WHERE follower_id = $1 AND following_id = (SELECT id FROM users WHERE username = $2)
+       RETURNING following_id`,
+      [req.user.id, username]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not following this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `You unfollowed ${username}`,
+      data: {
+        user_id: result.rows[0].following_id,
+        is_following: false
+      }
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unfollowing user',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/users/me/privacy
+// @desc    Get who can see your email and social links
+// @access  Private
+router.get('/me/privacy', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT email_visibility as email, socials_visibility as socials FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching privacy settings',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/users/me/privacy
+// @desc    Set who can see your email and social links: public, followers or private
+// @access  Private
+router.put('/me/privacy', authenticate, validations.updatePrivacy, async (req, res) => {
+  try {
+    const { email, socials } = req.body;
+
+    const result = await query(
+      `UPDATE users
+       SET email_visibility = COALESCE($1, email_visibility),
+           socials_visibility = COALESCE($2, socials_visibility)
+       WHERE id = $3
+       RETURNING email_visibility as email, socials_visibility as socials`,
+      [email || null, socials || null, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating privacy settings',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
@@ -131,9 +462,30 @@ router.put('/profile', authenticate, validations.updateProfile, async (req, res)
       values.push(cover_image_url);
       paramCount++;
     }
+
+    // A new email is only stored as pending until it's confirmed; the
+    // current address stays in place. Re-submitting the current address
+    // cancels a pending change.
+    let newEmail = null;
     if (email !== undefined) {
-      updates.push(`email = $${paramCount}`);
-      values.push(email);
+      if (email !== req.user.email) {
+        const emailCheck = await query(
+          'SELECT id FROM users WHERE email = $1 AND id <> $2',
+          [email, req.user.id]
+        );
+
+        if (emailCheck.rows.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Email already in use'
+          });
+        }
+
+        newEmail = email;
+      }
+
+      updates.push(`pending_email = $${paramCount}`);
+      values.push(newEmail);
       paramCount++;
     }
 
@@ -146,16 +498,37 @@ router.put('/profile', authenticate, validations.updateProfile, async (req, res)
 
     values.push(req.user.id);
 
+    // Remember the current images so replaced uploads can be cleaned up
+    const previous = await query(
+      'SELECT avatar_url, cover_image_url FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
     const result = await query(
       `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount}
-       RETURNING id, name, username, email, bio, avatar_url, cover_image_url`,
+       RETURNING id, name, username, email, email_verified, pending_email,
+                 bio, avatar_url, cover_image_url`,
       values
     );
 
+    const user = result.rows[0];
+
+    for (const [column, folder] of Object.entries(USER_IMAGE_FOLDERS)) {
+      if (previous.rows[0][column] !== user[column]) {
+        await removeImage(previous.rows[0][column], `${folder}/${req.user.id}`);
+      }
+    }
+
+    if (newEmail) {
+      await sendVerificationEmail(user, newEmail);
+    }
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      data: result.rows[0]
+      message: newEmail
+        ? `Profile updated successfully. Check ${newEmail} to confirm your new email.`
+        : 'Profile updated successfully',
+      data: user
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -176,82 +549,244 @@ router.put('/profile', authenticate, validations.updateProfile, async (req, res)
   }
 });
 
+// Upload handler for a user image column; replaces (and deletes) the old file
+const uploadUserImage = (column, folder) => async (req, res) => {
+  try {
+    const url = await saveImage(req.file, `${folder}/${req.user.id}`);
+
+    const previous = await query(
+      `SELECT ${column} FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    await query(
+      `UPDATE users SET ${column} = $1 WHERE id = $2`,
+      [url, req.user.id]
+    );
+
+    await removeImage(previous.rows[0][column], `${folder}/${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: { [column]: url }
+    });
+  } catch (error) {
+    console.error('Upload user image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading image',
+      error: error.message
+    });
+  }
+};
+
+// Removes a user image column and its stored file
+const deleteUserImage = (column, folder) => async (req, res) => {
+  try {
+    const previous = await query(
+      `SELECT ${column} FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    await query(
+      `UPDATE users SET ${column} = NULL WHERE id = $1`,
+      [req.user.id]
+    );
+
+    await removeImage(previous.rows[0][column], `${folder}/${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Image removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete user image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing image',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/users/avatar
+// @desc    Upload avatar image (multipart field "image")
+// @access  Private
+router.post('/avatar', authenticate, uploadImage, uploadUserImage('avatar_url', USER_IMAGE_FOLDERS.avatar_url));
+
+// @route   DELETE /api/users/avatar
+// @desc    Remove avatar image
+// @access  Private
+router.delete('/avatar', authenticate, deleteUserImage('avatar_url', USER_IMAGE_FOLDERS.avatar_url));
+
+// @route   POST /api/users/cover
+// @desc    Upload cover image (multipart field "image")
+// @access  Private
+router.post('/cover', authenticate, uploadImage, uploadUserImage('cover_image_url', USER_IMAGE_FOLDERS.cover_image_url));
+
+// @route   DELETE /api/users/cover
+// @desc    Remove cover image
+// @access  Private
+router.delete('/cover', authenticate, deleteUserImage('cover_image_url', USER_IMAGE_FOLDERS.cover_image_url));
+
 // @route   PUT /api/users/skills
-// @desc    Update user skills
+// @desc    Set skills, in display order: names or { name, category, level, years }
+// @access  Private
+router.put('/skills', authenticate, validations.updateSkills, async (req, res) => {
+  try {
+    const skills = await transaction(client => setUserSkills(client, req.user.id, req.body.skills));
+
+    res.json({
+      success: true,
+      message: 'Skills updated successfully',
+      data: { skills }
+    });
+  } catch (error) {
+    console.error('Update skills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating skills',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/users/skills/:skillId/endorse
+// @desc    Endorse another user's skill
 // @access  Private
-router.put('/skills', authenticate, async (req, res) => {
+router.post('/skills/:skillId/endorse', authenticate, validations.skillIdParam, async (req, res) => {
   try {
-    const { skills } = req.body;
+    const { skillId } = req.params;
 
-    if (!Array.isArray(skills)) {
+    const checkResult = await query(
+      'SELECT user_id, skill FROM user_skills WHERE id = $1',
+      [skillId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    if (checkResult.rows[0].user_id === req.user.id) {
       return res.status(400).json({
         success: false,
-        message: 'Skills must be an array'
+        message: 'You cannot endorse your own skill'
       });
     }
 
-    await transaction(async (client) => {
-      // Delete existing skills
-      await client.query('DELETE FROM user_skills WHERE user_id = $1', [req.user.id]);
-
-      // Insert new skills
-      if (skills.length > 0) {
-        const values = skills.map((skill, index) => 
-          `($1, $${index + 2})`
-        ).join(', ');
-        
-        await client.query(
-          `INSERT INTO user_skills (user_id, skill) VALUES ${values}`,
-          [req.user.id, ...skills]
-        );
+    // Endorsing twice is a no-op
+    const inserted = await query(
+      `INSERT INTO skill_endorsements (skill_id, endorser_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [skillId, req.user.id]
+    );
+
+    if (inserted.rowCount > 0) {
+      await notify({
+        userId: checkResult.rows[0].user_id,
+        actorId: req.user.id,
+        type: 'endorsement',
+        data: { skill: checkResult.rows[0].skill }
+      });
+    }
+
+    const result = await query(
+      'SELECT endorsement_count FROM user_skills WHERE id = $1',
+      [skillId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Skill endorsed',
+      data: {
+        skill_id: skillId,
+        endorsement_count: result.rows[0].endorsement_count,
+        endorsed_by_me: true
       }
     });
+  } catch (error) {
+    console.error('Endorse skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error endorsing skill',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/skills/:skillId/endorse
+// @desc    Remove your endorsement of a skill
+// @access  Private
+router.delete('/skills/:skillId/endorse', authenticate, validations.skillIdParam, async (req, res) => {
+  try {
+    const { skillId } = req.params;
+
+    await query(
+      'DELETE FROM skill_endorsements WHERE skill_id = $1 AND endorser_id = $2',
+      [skillId, req.user.id]
+    );
+
+    const result = await query(
+      'SELECT endorsement_count FROM user_skills WHERE id = $1',
+      [skillId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Skills updated successfully',
-      data: { skills }
+      message: 'Endorsement removed',
+      data: {
+        skill_id: skillId,
+        endorsement_count: result.rows[0].endorsement_count,
+        endorsed_by_me: false
+      }
     });
   } catch (error) {
-    console.error('Update skills error:', error);
+    console.error('Remove endorsement error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating skills',
+      message: 'Error removing endorsement',
       error: error.message
     });
   }
 });
 
+// @route   GET /api/users/socials/platforms
+// @desc    Get the platforms social links can point to
+// @access  Public
+router.get('/socials/platforms', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(SOCIAL_PLATFORMS).map(([platform, config]) => ({
+      platform,
+      name: config.name,
+      icon: config.icon,
+      example: config.example
+    }))
+  });
+});
+
 // @route   PUT /api/users/socials
-// @desc    Update user social links
+// @desc    Set social links, in display order: { links: [{ platform, url, label }] }
 // @access  Private
-router.put('/socials', authenticate, async (req, res) => {
+router.put('/socials', authenticate, validations.updateSocials, async (req, res) => {
   try {
-    const { github, linkedin, twitter, website } = req.body;
-
-    await transaction(async (client) => {
-      // Delete existing social links
-      await client.query('DELETE FROM social_links WHERE user_id = $1', [req.user.id]);
-
-      // Insert new social links
-      const socials = [];
-      if (github) socials.push({ platform: 'github', url: github });
-      if (linkedin) socials.push({ platform: 'linkedin', url: linkedin });
-      if (twitter) socials.push({ platform: 'twitter', url: twitter });
-      if (website) socials.push({ platform: 'website', url: website });
-
-      for (const social of socials) {
-        await client.query(
-          'INSERT INTO social_links (user_id, platform, url) VALUES ($1, $2, $3)',
-          [req.user.id, social.platform, social.url]
-        );
-      }
-    });
+    const socials = await transaction(client => setSocialLinks(client, req.user.id, req.body.links));
 
     res.json({
       success: true,
       message: 'Social links updated successfully',
-      data: { github, linkedin, twitter, website }
+      data: socials
     });
   } catch (error) {
     console.error('Update socials error:', error);
@@ -268,8 +803,23 @@ router.put('/socials', authenticate, async (req, res) => {
 // @access  Private
 router.delete('/account', authenticate, async (req, res) => {
   try {
+    // Collect uploaded files before the rows referencing them are gone
+    const images = await query(
+      `SELECT avatar_url as url, 'avatars/' || id as folder FROM users WHERE id = $1
+       UNION ALL SELECT cover_image_url, 'covers/' || id FROM users WHERE id = $1
+       UNION ALL SELECT image_url, 'projects/' || id FROM projects WHERE user_id = $1
+       UNION ALL SELECT pm.url, 'projects/' || p.id FROM project_media pm
+                 INNER JOIN projects p ON pm.project_id = p.id
+                 WHERE p.user_id = $1`,
+      [req.user.id]
+    );
+
     await query('DELETE FROM users WHERE id = $1', [req.user.id]);
 
+    for (const { url, folder } of images.rows) {
+      await removeImage(url, folder);
+    }
+
     res.json({
       success: true,
       message: 'Account deleted successfully'
@@ -0,0 +1,148 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool, query, transaction } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Create the tracking table if this is a fresh database
+const ensureMigrationsTable = async () => {
+  await query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(20) PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+};
+
+// Read migrations/ and pair up the up/down files, ordered by version
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} is missing its up or down file`);
+      }
+      return migration;
+    })
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+};
+
+const getAppliedVersions = async () => {
+  const result = await query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+};
+
+// Apply every pending migration, each in its own transaction
+const migrate = async () => {
+  await ensureMigrationsTable();
+  const applied = await getAppliedVersions();
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.up, 'utf8');
+
+    await transaction(async (client) => {
+      await client.query(sql);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+
+    console.log(`⬆️  Applied ${migration.version}_${migration.name}`);
+  }
+};
+
+// Revert the most recently applied migrations (one by default)
+const rollback = async (steps = 1) => {
+  await ensureMigrationsTable();
+  const migrations = loadMigrations();
+  const result = await query(
+    'SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1',
+    [steps]
+  );
+
+  if (result.rows.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  for (const { version } of result.rows) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`No migration files found for applied version ${version}`);
+    }
+
+    const sql = fs.readFileSync(migration.down, 'utf8');
+
+    await transaction(async (client) => {
+      await client.query(sql);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    });
+
+    console.log(`⬇️  Rolled back ${migration.version}_${migration.name}`);
+  }
+};
+
+// Print every known migration and whether it has been applied
+const status = async () => {
+  await ensureMigrationsTable();
+  const result = await query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  for (const migration of loadMigrations()) {
+    const state = appliedAt.has(migration.version)
+      ? `applied ${appliedAt.get(migration.version).toISOString()}`
+      : 'pending';
+    console.log(`${migration.version}_${migration.name}  ${state}`);
+  }
+};
+
+const commands = {
+  up: () => migrate(),
+  down: (steps) => rollback(parseInt(steps) || 1),
+  status: () => status()
+};
+
+if (require.main === module) {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command](...args)
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
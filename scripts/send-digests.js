@@ -0,0 +1,17 @@
+// Send notification email digests. Run it from cron or a scheduled function,
+// e.g. hourly: `npm run notifications:digest`
+
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { sendDigests } = require('../utils/notifications');
+
+sendDigests()
+  .then(async (sent) => {
+    console.log(`✅ Sent ${sent} notification digest${sent === 1 ? '' : 's'}`);
+    await pool.end();
+  })
+  .catch(async (error) => {
+    console.error('❌ Digest run failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
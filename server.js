@@ -3,15 +3,20 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const path = require('path');
 
 
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
+const commentRoutes = require('./routes/comments');
 const portfolioRoutes = require('./routes/portfolios');
 const messageRoutes = require('./routes/messages');
+const notificationRoutes = require('./routes/notifications');
+const searchRoutes = require('./routes/search');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -19,8 +24,14 @@ const { errorHandler } = require('./middleware/errorHandler');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Netlify's proxy; needed for req.ip, which rate limiting keys on
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(helmet()); // Security headers
+// Keep tokens passed in the query string (message stream, portfolio share
+// links) out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:access_token|share)=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('combined')); // Logging
 
 // CORS configuration
@@ -36,6 +47,13 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Uploaded files when using local disk storage (development/tests)
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'), {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -46,11 +64,15 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/projects/:id/comments', commentRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/portfolios', portfolioRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/search', searchRoutes);
 
 // 404 handler
 app.use((req, res) => {
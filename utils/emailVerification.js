@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { transaction } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { emailVerificationEmail } = require('./emails');
+const { hashToken } = require('./tokens');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+// Create a verification token for `email` and mail the link to that address.
+// Earlier unused tokens for the user are invalidated.
+const sendVerificationEmail = async (user, email) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await transaction(async (client) => {
+    await client.query(
+      'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await client.query(
+      `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+      [user.id, email, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+    );
+  });
+
+  await sendMail({
+    to: email,
+    ...emailVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS)
+  });
+};
+
+// Consume a verification token. Confirms the current address, or swaps in
+// the pending one. Returns the updated user, or null if the token is invalid
+// or was issued for an address the user no longer has on file.
+const verifyEmailToken = async (token) => {
+  return transaction(async (client) => {
+    const tokenResult = await client.query(
+      `SELECT t.id, t.email, u.id as user_id, u.email as current_email, u.pending_email
+       FROM email_verification_tokens t
+       INNER JOIN users u ON t.user_id = u.id
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW()
+       FOR UPDATE OF t`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      return null;
+    }
+
+    const row = tokenResult.rows[0];
+
+    if (row.email !== row.current_email && row.email !== row.pending_email) {
+      return null;
+    }
+
+    await client.query(
+      'UPDATE email_verification_tokens SET used_at = NOW() WHERE id = $1',
+      [row.id]
+    );
+
+    const result = await client.query(
+      `UPDATE users
+       SET email = $1, pending_email = NULL, email_verified = true, email_verified_at = NOW()
+       WHERE id = $2
+       RETURNING id, name, username, email, email_verified`,
+      [row.email, row.user_id]
+    );
+
+    return result.rows[0];
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmailToken
+};
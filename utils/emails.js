@@ -0,0 +1,104 @@
+// Email templates. Each builder returns { subject, text, html } for sendMail.
+
+const appUrl = (pathname) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const passwordResetEmail = (user, token, expiresInMinutes) => {
+  const link = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  return {
+    subject: 'Reset your DevFolio password',
+    text: `Hi ${user.name},\n\n` +
+      `We received a request to reset your DevFolio password. ` +
+      `Use the link below within ${expiresInMinutes} minutes:\n\n${link}\n\n` +
+      `If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>We received a request to reset your DevFolio password. ` +
+      `Use the link below within ${expiresInMinutes} minutes:</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      `<p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+const emailVerificationEmail = (user, token, expiresInHours) => {
+  const link = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  return {
+    subject: 'Confirm your email for DevFolio',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm this email address for your DevFolio account ` +
+      `within ${expiresInHours} hours:\n\n${link}\n\n` +
+      `If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Please confirm this email address for your DevFolio account ` +
+      `within ${expiresInHours} hours:</p>` +
+      `<p><a href="${link}">Confirm email</a></p>` +
+      `<p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+// One line per notification, e.g. 'Ada liked your project "Compiler"'
+const describeNotification = (notification) => {
+  const actor = notification.actor_name || 'Someone';
+  const title = notification.data.project_title;
+
+  switch (notification.type) {
+    case 'message':
+      return `${actor} sent you a message`;
+    case 'follow':
+      return `${actor} started following you`;
+    case 'like':
+      return `${actor} liked your project "${title}"`;
+    case 'comment':
+      return `${actor} commented on your project "${title}"`;
+    case 'reply':
+      return `${actor} replied to your comment on "${title}"`;
+    case 'endorsement':
+      return `${actor} endorsed your skill "${notification.data.skill}"`;
+    default:
+      return `New activity from ${actor}`;
+  }
+};
+
+const notificationDigestEmail = (user, notifications, total) => {
+  const link = appUrl('/notifications');
+  const lines = notifications.map(describeNotification);
+  const more = total > notifications.length
+    ? `...and ${total - notifications.length} more`
+    : null;
+
+  return {
+    subject: `You have ${total} new notification${total === 1 ? '' : 's'} on DevFolio`,
+    text: `Hi ${user.name},\n\n` +
+      `Here's what happened since we last wrote:\n\n` +
+      lines.map(line => `- ${line}`).join('\n') +
+      (more ? `\n${more}` : '') +
+      `\n\nSee everything at ${link}\n\n` +
+      `You can change which emails you get in your notification settings.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Here's what happened since we last wrote:</p>` +
+      `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` +
+      (more ? `<p>${more}</p>` : '') +
+      `<p><a href="${link}">See all notifications</a></p>` +
+      `<p>You can change which emails you get in your notification settings.</p>`
+  };
+};
+
+module.exports = {
+  appUrl,
+  escapeHtml,
+  passwordResetEmail,
+  emailVerificationEmail,
+  notificationDigestEmail
+};
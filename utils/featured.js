@@ -0,0 +1,113 @@
+const { query } = require('../config/database');
+
+const MAX_FEATURED_PROJECTS = parseInt(process.env.MAX_FEATURED_PROJECTS) || 6;
+
+// Only published (including scheduled) public projects can be featured.
+// Unpublishing, archiving or hiding a project takes it off the list.
+const isFeaturable = (project) => project.status === 'published' && project.visibility === 'public';
+
+// A user's featured projects, in order. Includes scheduled ones; callers
+// showing them to others filter with listedProject().
+const listFeaturedProjects = async (userId) => {
+  const result = await query(
+    `SELECT id, title, visibility, status, featured_position
+     FROM projects
+     WHERE user_id = $1 AND is_featured = true
+     ORDER BY featured_position`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// IDs in `projectIds` that aren't published public projects of the user
+const findUnfeaturableProjects = async (userId, projectIds) => {
+  const result = await query(
+    `SELECT id FROM projects
+     WHERE user_id = $1 AND id = ANY($2::uuid[]) AND status = 'published' AND visibility = 'public'`,
+    [userId, projectIds]
+  );
+  const featurable = new Set(result.rows.map(row => row.id));
+  return projectIds.filter(projectId => !featurable.has(projectId));
+};
+
+// Lock a user's featured list until the transaction ends, so concurrent
+// changes can't both pass the MAX_FEATURED_PROJECTS check. The lock is on
+// the user row: locking the featured projects themselves wouldn't stop two
+// requests from each featuring a different project.
+const lockFeaturedProjects = async (db, userId) => {
+  await db.query('SELECT id FROM users WHERE id = $1 FOR NO KEY UPDATE', [userId]);
+};
+
+// Feature a project at the end of the list, or take it off and close the
+// gap. `db` is a transaction client. Returns false, without changing
+// anything, when the user already has MAX_FEATURED_PROJECTS featured.
+// Callers check isFeaturable() before featuring.
+const setProjectFeatured = async (db, userId, projectId, featured) => {
+  await lockFeaturedProjects(db, userId);
+
+  if (featured) {
+    const countResult = await db.query(
+      'SELECT COUNT(*) as total FROM projects WHERE user_id = $1 AND is_featured = true AND id <> $2',
+      [userId, projectId]
+    );
+    if (parseInt(countResult.rows[0].total) >= MAX_FEATURED_PROJECTS) {
+      return false;
+    }
+
+    await db.query(
+      `UPDATE projects SET is_featured = true,
+         featured_position = (SELECT COALESCE(MAX(featured_position) + 1, 0) FROM projects WHERE user_id = $1)
+       WHERE id = $2 AND user_id = $1 AND is_featured = false`,
+      [userId, projectId]
+    );
+    return true;
+  }
+
+  const result = await db.query(
+    `UPDATE projects SET is_featured = false, featured_position = NULL
+     WHERE id = $2 AND user_id = $1 AND is_featured = true`,
+    [userId, projectId]
+  );
+
+  if (result.rowCount > 0) {
+    await db.query(
+      `UPDATE projects p SET featured_position = o.position - 1
+       FROM (
+         SELECT id, ROW_NUMBER() OVER (ORDER BY featured_position) AS position
+         FROM projects
+         WHERE user_id = $1 AND is_featured = true
+       ) o
+       WHERE p.id = o.id`,
+      [userId]
+    );
+  }
+  return true;
+};
+
+// Replace a user's featured projects with `projectIds`, in that order.
+// `db` is a transaction client; the IDs must belong to the user.
+const setFeaturedProjects = async (db, userId, projectIds) => {
+  await lockFeaturedProjects(db, userId);
+
+  await db.query(
+    `UPDATE projects SET is_featured = false, featured_position = NULL
+     WHERE user_id = $1 AND is_featured = true AND NOT (id = ANY($2::uuid[]))`,
+    [userId, projectIds]
+  );
+
+  await db.query(
+    `UPDATE projects p SET is_featured = true, featured_position = o.position - 1
+     FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, position)
+     WHERE p.id = o.id AND p.user_id = $1`,
+    [userId, projectIds]
+  );
+};
+
+module.exports = {
+  MAX_FEATURED_PROJECTS,
+  isFeaturable,
+  listFeaturedProjects,
+  findUnfeaturableProjects,
+  setProjectFeatured,
+  setFeaturedProjects
+};
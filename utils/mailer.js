@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in transports. Each one receives { to, subject, text, html }.
+const transports = {
+  // Print the message to stdout (default for development)
+  console: async (message) => {
+    console.log('📧 Email:', JSON.stringify(message, null, 2));
+  },
+
+  // Write each message as a JSON file, handy for inspecting mail in tests
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+let activeTransport = null;
+
+// Swap in a custom transport, e.g. an SMTP or API-backed sender in production
+const setTransport = (transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transports[name];
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'DevFolio <no-reply@devfolio.app>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  await getTransport()(message);
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,130 @@
+const { query } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { notificationDigestEmail } = require('./emails');
+
+const DIGEST_MAX_ITEMS = 20;
+
+// Notification types and their defaults for users who haven't set preferences
+const NOTIFICATION_TYPES = {
+  message: { in_app: true, email: true },
+  follow: { in_app: true, email: false },
+  like: { in_app: true, email: false },
+  comment: { in_app: true, email: true },
+  reply: { in_app: true, email: true },
+  endorsement: { in_app: true, email: false }
+};
+
+// Whether `type` is a notification type. Only own keys count, so names like
+// "constructor" or "__proto__" are rejected.
+const isNotificationType = (type) => Object.hasOwn(NOTIFICATION_TYPES, type);
+
+// A user's preferences for every type, with defaults filled in
+const getPreferences = async (userId) => {
+  const result = await query(
+    'SELECT type, in_app, email FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+
+  const preferences = {};
+  for (const [type, defaults] of Object.entries(NOTIFICATION_TYPES)) {
+    const saved = result.rows.find(row => row.type === type);
+    preferences[type] = saved
+      ? { in_app: saved.in_app, email: saved.email }
+      : { ...defaults };
+  }
+  return preferences;
+};
+
+// Record a notification for `userId` about something `actorId` did.
+// Users are never notified about their own actions, and a failure here is
+// logged rather than thrown so it can't break the action that caused it.
+const notify = async ({ userId, actorId, type, projectId = null, commentId = null, messageId = null, data = {} }) => {
+  if (!userId || userId === actorId) return null;
+
+  try {
+    if (!isNotificationType(type)) {
+      throw new Error(`Unknown notification type "${type}"`);
+    }
+    const defaults = NOTIFICATION_TYPES[type];
+
+    // Skipped when the user switched the type off in-app and by email
+    const result = await query(
+      `INSERT INTO notifications (user_id, actor_id, type, project_id, comment_id, message_id, data)
+       SELECT $1::uuid, $2::uuid, $3::varchar, $4::uuid, $5::uuid, $6::uuid, $7::jsonb
+       WHERE COALESCE(
+         (SELECT in_app OR email FROM notification_preferences WHERE user_id = $1::uuid AND type = $3::varchar),
+         $8::boolean
+       )
+       RETURNING id, type, created_at`,
+      [userId, actorId, type, projectId, commentId, messageId, data, defaults.in_app || defaults.email]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+// Email each verified user a summary of unread notifications they haven't
+// been emailed about yet, for the types they get by email. Meant to run on a
+// schedule (see scripts/send-digests.js). Returns the number of emails sent.
+const sendDigests = async () => {
+  const defaultEmailTypes = Object.keys(NOTIFICATION_TYPES)
+    .filter(type => NOTIFICATION_TYPES[type].email);
+
+  const pending = await query(
+    `SELECT n.id, n.user_id, n.type, n.data, n.created_at,
+            a.name as actor_name
+     FROM notifications n
+     INNER JOIN users u ON n.user_id = u.id
+     LEFT JOIN users a ON n.actor_id = a.id
+     LEFT JOIN notification_preferences np ON np.user_id = n.user_id AND np.type = n.type
+     WHERE n.read_at IS NULL
+       AND n.emailed_at IS NULL
+       AND u.email_verified = true
+       AND COALESCE(np.email, n.type = ANY($1))
+     ORDER BY n.user_id, n.created_at DESC`,
+    [defaultEmailTypes]
+  );
+
+  const byUser = new Map();
+  for (const row of pending.rows) {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+    byUser.get(row.user_id).push(row);
+  }
+
+  let sent = 0;
+  for (const [userId, notifications] of byUser) {
+    try {
+      const userResult = await query(
+        'SELECT name, email FROM users WHERE id = $1',
+        [userId]
+      );
+      const user = userResult.rows[0];
+
+      await sendMail({
+        to: user.email,
+        ...notificationDigestEmail(user, notifications.slice(0, DIGEST_MAX_ITEMS), notifications.length)
+      });
+
+      await query(
+        'UPDATE notifications SET emailed_at = NOW() WHERE id = ANY($1)',
+        [notifications.map(notification => notification.id)]
+      );
+      sent++;
+    } catch (error) {
+      console.error('Send notification digest error:', error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  isNotificationType,
+  getPreferences,
+  notify,
+  sendDigests
+};
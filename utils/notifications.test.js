@@ -0,0 +1,167 @@
+jest.mock('../config/database', () => require('../config/testDatabase').createTestDatabase());
+jest.mock('./mailer', () => ({ sendMail: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Starting the database and applying the migrations takes a few seconds
+jest.setTimeout(60000);
+
+const express = require('express');
+const request = require('supertest');
+const { query, pool } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { generateAccessToken } = require('./tokens');
+const { isNotificationType, notify, sendDigests } = require('./notifications');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', require('../routes/users'));
+app.use('/api/projects/:id/comments', require('../routes/comments'));
+app.use('/api/projects', require('../routes/projects'));
+app.use('/api/messages', require('../routes/messages'));
+
+let ada;
+let grace;
+let projectId;
+
+const createUser = async (username) => {
+  const result = await query(
+    `INSERT INTO users (name, username, email, password_hash, email_verified)
+     VALUES ($1, $1, $2, 'x', true)
+     RETURNING id, username`,
+    [username, `${username}@example.com`]
+  );
+  return { ...result.rows[0], token: `Bearer ${generateAccessToken(result.rows[0].id)}` };
+};
+
+// Notifications `user` has received of `type`
+const notificationsFor = async (user, type) => {
+  const result = await query(
+    'SELECT actor_id, type, project_id, comment_id, message_id FROM notifications WHERE user_id = $1 AND type = $2',
+    [user.id, type]
+  );
+  return result.rows;
+};
+
+beforeAll(async () => {
+  ada = await createUser('ada');
+  grace = await createUser('grace');
+
+  const result = await query(
+    `INSERT INTO projects (user_id, title, description, status, published_at)
+     VALUES ($1, 'Compiler', 'A small compiler', 'published', NOW())
+     RETURNING id`,
+    [ada.id]
+  );
+  projectId = result.rows[0].id;
+});
+
+afterAll(async () => {
+  await pool.end();
+});
+
+describe('isNotificationType', () => {
+  it('accepts the known types', () => {
+    expect(isNotificationType('message')).toBe(true);
+    expect(isNotificationType('endorsement')).toBe(true);
+  });
+
+  it('rejects unknown types and inherited object keys', () => {
+    for (const type of ['bogus', 'toString', 'constructor', '__proto__']) {
+      expect(isNotificationType(type)).toBe(false);
+    }
+  });
+});
+
+describe('notifications from actions', () => {
+  it('notifies the owner when their project is liked', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/like`)
+      .set('Authorization', grace.token);
+
+    expect(res.status).toBe(200);
+    expect(await notificationsFor(ada, 'like')).toEqual([
+      expect.objectContaining({ actor_id: grace.id, project_id: projectId })
+    ]);
+  });
+
+  it('notifies the owner when their project gets a comment', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/comments`)
+      .set('Authorization', grace.token)
+      .send({ body: 'Nice work' });
+
+    expect(res.status).toBe(201);
+    expect(await notificationsFor(ada, 'comment')).toEqual([
+      expect.objectContaining({ actor_id: grace.id, project_id: projectId, comment_id: res.body.data.id })
+    ]);
+  });
+
+  it('notifies users when someone follows them', async () => {
+    const res = await request(app)
+      .post(`/api/users/${ada.username}/follow`)
+      .set('Authorization', grace.token);
+
+    expect(res.status).toBe(200);
+    expect(await notificationsFor(ada, 'follow')).toEqual([
+      expect.objectContaining({ actor_id: grace.id })
+    ]);
+  });
+
+  it('notifies the recipient of a message', async () => {
+    const res = await request(app)
+      .post('/api/messages')
+      .set('Authorization', grace.token)
+      .send({ recipient_id: ada.id, message: 'Hello!' });
+
+    expect(res.status).toBe(201);
+    expect(await notificationsFor(ada, 'message')).toEqual([
+      expect.objectContaining({ actor_id: grace.id, message_id: res.body.data.id })
+    ]);
+  });
+});
+
+describe('notify', () => {
+  it('never notifies users about their own actions', async () => {
+    expect(await notify({ userId: ada.id, actorId: ada.id, type: 'endorsement' })).toBeNull();
+    expect(await notificationsFor(ada, 'endorsement')).toEqual([]);
+  });
+
+  it('does not write notifications of unknown types', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await notify({ userId: ada.id, actorId: grace.id, type: 'constructor' })).toBeNull();
+    expect(await notificationsFor(ada, 'constructor')).toEqual([]);
+
+    console.error.mockRestore();
+  });
+
+  it('skips types the user switched off', async () => {
+    await query(
+      `INSERT INTO notification_preferences (user_id, type, in_app, email)
+       VALUES ($1, 'endorsement', false, false)`,
+      [grace.id]
+    );
+
+    expect(await notify({ userId: grace.id, actorId: ada.id, type: 'endorsement' })).toBeNull();
+    expect(await notificationsFor(grace, 'endorsement')).toEqual([]);
+  });
+
+  it('stores the notification data', async () => {
+    const created = await notify({ userId: grace.id, actorId: ada.id, type: 'like', data: { project_title: 'Compiler' } });
+
+    expect(created).toMatchObject({ type: 'like' });
+    const result = await query('SELECT data FROM notifications WHERE id = $1', [created.id]);
+    expect(result.rows[0].data).toEqual({ project_title: 'Compiler' });
+  });
+});
+
+describe('sendDigests', () => {
+  it('emails unread notifications of the types users get by email, once', async () => {
+    expect(await sendDigests()).toBe(1);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0].to).toBe('ada@example.com');
+
+    expect(await sendDigests()).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+const { supabase, supabaseAdmin } = require('../config/database');
+
+const OAUTH_PROVIDERS = ['github', 'google'];
+
+// Supabase Auth URL that starts the provider's consent screen. After sign-in
+// Supabase redirects to OAUTH_REDIRECT_URL with its access token in the URL
+// fragment; the frontend posts that token to /api/auth/oauth/callback.
+const getAuthorizationUrl = async (provider) => {
+  const { data, error } = await supabase.auth.signInWithOAuth({
+    provider,
+    options: {
+      redirectTo: process.env.OAUTH_REDIRECT_URL,
+      skipBrowserRedirect: true,
+      scopes: provider === 'github' ? 'read:user user:email' : undefined
+    }
+  });
+
+  if (error) throw error;
+  return data.url;
+};
+
+// Resolve a Supabase access token to the profile of the given provider's
+// identity. Returns null if the token is invalid or has no such identity.
+const getProviderProfile = async (provider, accessToken) => {
+  const { data, error } = await supabaseAdmin.auth.getUser(accessToken);
+
+  if (error || !data.user) {
+    return null;
+  }
+
+  const identity = (data.user.identities || []).find(i => i.provider === provider);
+  if (!identity) {
+    return null;
+  }
+
+  const info = identity.identity_data || {};
+  const username = provider === 'github'
+    ? info.user_name || info.preferred_username
+    : null;
+
+  return {
+    provider,
+    providerUserId: String(info.provider_id || info.sub || identity.id),
+    username,
+    email: (info.email || data.user.email || '').toLowerCase() || null,
+    emailVerified: Boolean(info.email_verified || data.user.email_confirmed_at),
+    name: info.full_name || info.name || username,
+    avatarUrl: info.avatar_url || info.picture || null,
+    profileUrl: provider === 'github' && username ? `https://github.com/${username}` : null
+  };
+};
+
+// Store the identity for a user and fill in their github social link if
+// they haven't set one. `db` is a transaction client.
+const linkIdentity = async (db, userId, profile) => {
+  const result = await db.query(
+    `INSERT INTO user_identities (user_id, provider, provider_user_id, provider_username, email)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, provider, provider_username, email, created_at`,
+    [userId, profile.provider, profile.providerUserId, profile.username, profile.email]
+  );
+
+  if (profile.provider === 'github' && profile.profileUrl) {
+    await db.query(
+      `INSERT INTO social_links (user_id, platform, url, position)
+       SELECT $1, 'github', $2, COALESCE(MAX(position) + 1, 0)
+       FROM social_links
+       WHERE user_id = $1
+       HAVING COUNT(*) FILTER (WHERE platform = 'github') = 0`,
+      [userId, profile.profileUrl]
+    );
+  }
+
+  return result.rows[0];
+};
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  getAuthorizationUrl,
+  getProviderProfile,
+  linkIdentity
+};
@@ -0,0 +1,167 @@
+// Shared pagination for list endpoints.
+//
+// Lists page with opaque cursors: each response has next_cursor/prev_cursor,
+// passed back as ?after= (next page) or ?before= (previous page). Most lists
+// use keyset pagination over their sort columns, so pages stay stable while
+// rows are added. Sorts that can't be keyed (e.g. time-decayed scores) use
+// cursors that wrap an offset instead. Plain ?offset= still works when no
+// cursor is given.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+// Whether a cursor value can be cast to its key's SQL type
+const KEY_TYPES = {
+  timestamptz: value => typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+  uuid: value => typeof value === 'string' && UUID_PATTERN.test(value),
+  int: value => Number.isInteger(value) && Math.abs(value) <= 2147483647,
+  bigint: value => Number.isSafeInteger(value)
+};
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// The decoded cursor (an array of key values or { offset }), or null when
+// the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(value)) return value;
+    if (value && Number.isInteger(value.offset) && value.offset >= 0) return value;
+  } catch (error) {
+    // Fall through
+  }
+  return null;
+};
+
+// Whether a keyset cursor has one value of the right type per sort key.
+// Cursors from another sort, or edited by hand, don't.
+const cursorMatchesKeys = (cursor, keys) => {
+  return Array.isArray(cursor) && cursor.length === keys.length &&
+    keys.every((key, index) => KEY_TYPES[key.type](cursor[index]));
+};
+
+// Read limit/offset/before/after from the query string. Cursors are checked
+// by validations.pagination before this runs.
+const parsePage = (reqQuery, { defaultLimit = DEFAULT_LIMIT } = {}) => {
+  const limit = Math.min(parseInt(reqQuery.limit) || defaultLimit, MAX_LIMIT);
+
+  return {
+    limit,
+    offset: reqQuery.offset !== undefined ? parseInt(reqQuery.offset) : null,
+    after: reqQuery.after ? decodeCursor(reqQuery.after) : null,
+    before: reqQuery.before ? decodeCursor(reqQuery.before) : null
+  };
+};
+
+// Build the SQL for one page. `keys` are the sort columns, most significant
+// first, each { sql, type } (type is used to cast cursor values); all of them
+// sort in `direction` and the last one must be unique (usually the id).
+// Pass `keys: null` and an `orderBy` for offset-only sorts. With `fromEnd`,
+// a request without a cursor or offset returns the last page (e.g. the
+// latest messages).
+//
+// Returns { invalidCursor: true } without touching `params` when the cursor
+// doesn't fit the sort; send a 400 then. Otherwise it appends its
+// parameters to `params` and returns:
+//   where   - condition to AND into the query, or null
+//   orderBy - ORDER BY expression list
+//   limit   - LIMIT placeholder
+//   offset  - OFFSET placeholder, or null
+//   select  - select-list item for the row's cursor, or null
+// plus the flags buildPage() needs.
+const keysetQuery = (page, { keys, direction = 'DESC', fromEnd = false, orderBy = null }, params) => {
+  const cursor = page.after || page.before;
+  const offsetCursor = cursor && !Array.isArray(cursor);
+
+  if (cursor && !offsetCursor && !(keys && cursorMatchesKeys(cursor, keys))) {
+    return { invalidCursor: true };
+  }
+  const useKeyset = keys && !offsetCursor && page.offset === null;
+
+  // Read backwards for ?before= and for the last page, then flip the rows
+  const backwards = useKeyset && (Boolean(page.before) || (fromEnd && !cursor));
+  const flip = { ASC: 'DESC', DESC: 'ASC' };
+  const readDirection = backwards ? flip[direction] : direction;
+
+  let where = null;
+  if (useKeyset && cursor) {
+    const placeholders = keys.map((key, index) => {
+      params.push(cursor[index]);
+      return `$${params.length}::${key.type}`;
+    });
+    const op = readDirection === 'DESC' ? '<' : '>';
+    where = `(${keys.map(key => key.sql).join(', ')}) ${op} (${placeholders.join(', ')})`;
+  }
+
+  if (keys) {
+    orderBy = keys.map(key => `${key.sql} ${readDirection}`).join(', ');
+  }
+
+  // One extra row tells us whether there is another page
+  params.push(page.limit + 1);
+  const limit = `$${params.length}`;
+
+  let offset = null;
+  if (!useKeyset) {
+    params.push(offsetCursor ? cursor.offset : page.offset || 0);
+    offset = `$${params.length}`;
+  }
+
+  return {
+    where,
+    orderBy,
+    limit,
+    offset,
+    select: useKeyset ? `json_build_array(${keys.map(key => key.sql).join(', ')}) as page_cursor` : null,
+    backwards,
+    useKeyset
+  };
+};
+
+// Turn the rows fetched with keysetQuery() into the page's rows (in list
+// order, without the page_cursor column) and its pagination block
+const buildPage = (rows, page, plan, total) => {
+  const hasMore = rows.length > page.limit;
+  let pageRows = rows.slice(0, page.limit);
+  if (plan.backwards) pageRows.reverse();
+
+  const cursors = pageRows.map(row => row.page_cursor);
+  pageRows = pageRows.map(({ page_cursor, ...row }) => row);
+
+  const pagination = {
+    limit: page.limit,
+    total,
+    next_cursor: null,
+    prev_cursor: null
+  };
+
+  if (plan.useKeyset) {
+    const hasNext = plan.backwards ? Boolean(page.before) : hasMore;
+    const hasPrev = plan.backwards ? hasMore : Boolean(page.after);
+
+    if (hasNext && cursors.length > 0) pagination.next_cursor = encodeCursor(cursors[cursors.length - 1]);
+    if (hasPrev && cursors.length > 0) pagination.prev_cursor = encodeCursor(cursors[0]);
+  } else {
+    const cursor = page.after || page.before;
+    const offset = cursor && !Array.isArray(cursor) ? cursor.offset : page.offset || 0;
+
+    if (page.offset !== null) pagination.offset = offset;
+    if (hasMore) pagination.next_cursor = encodeCursor({ offset: offset + page.limit });
+    if (offset > 0) pagination.prev_cursor = encodeCursor({ offset: Math.max(offset - page.limit, 0) });
+  }
+
+  return { rows: pageRows, pagination };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePage,
+  keysetQuery,
+  buildPage
+};
@@ -0,0 +1,188 @@
+const { encodeCursor, decodeCursor, parsePage, keysetQuery, buildPage } = require('./pagination');
+
+const KEYS = [
+  { sql: 'p.created_at', type: 'timestamptz' },
+  { sql: 'p.id', type: 'uuid' }
+];
+
+const ID_1 = '3f1c2a4e-8d5b-4c6a-9e7f-0a1b2c3d4e5f';
+const ID_2 = '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c0d';
+
+// Rows as the database returns them, with their page_cursor column
+const makeRows = (count) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  page_cursor: [`2026-01-${String(20 - index).padStart(2, '0')}T10:00:00.000+00:00`, ID_1]
+}));
+
+describe('cursor encoding', () => {
+  it('round-trips keyset and offset cursors', () => {
+    const keyset = ['2026-01-05T10:00:00.123456+00:00', ID_1];
+    expect(decodeCursor(encodeCursor(keyset))).toEqual(keyset);
+    expect(decodeCursor(encodeCursor({ offset: 40 }))).toEqual({ offset: 40 });
+  });
+
+  it('returns null for cursors that are not JSON arrays or offsets', () => {
+    expect(decodeCursor('not base64 json')).toBeNull();
+    expect(decodeCursor(encodeCursor('text'))).toBeNull();
+    expect(decodeCursor(encodeCursor({ offset: -1 }))).toBeNull();
+    expect(decodeCursor(encodeCursor({ offset: 1.5 }))).toBeNull();
+  });
+});
+
+describe('keysetQuery', () => {
+  it('reads the first page without a cursor', () => {
+    const params = ['user'];
+    const plan = keysetQuery(parsePage({ limit: '10' }), { keys: KEYS }, params);
+
+    expect(plan.where).toBeNull();
+    expect(plan.orderBy).toBe('p.created_at DESC, p.id DESC');
+    expect(plan.limit).toBe('$2');
+    expect(params).toEqual(['user', 11]);
+  });
+
+  it('adds a typed keyset condition for ?after=', () => {
+    const params = [];
+    const after = encodeCursor(['2026-01-05T10:00:00+00:00', ID_1]);
+    const plan = keysetQuery(parsePage({ after }), { keys: KEYS }, params);
+
+    expect(plan.where).toBe('(p.created_at, p.id) < ($1::timestamptz, $2::uuid)');
+    expect(params).toEqual(['2026-01-05T10:00:00+00:00', ID_1, 21]);
+    expect(plan.backwards).toBe(false);
+  });
+
+  it('reads backwards for ?before=', () => {
+    const params = [];
+    const before = encodeCursor(['2026-01-05T10:00:00+00:00', ID_2]);
+    const plan = keysetQuery(parsePage({ before }), { keys: KEYS }, params);
+
+    expect(plan.where).toBe('(p.created_at, p.id) > ($1::timestamptz, $2::uuid)');
+    expect(plan.orderBy).toBe('p.created_at ASC, p.id ASC');
+    expect(plan.backwards).toBe(true);
+  });
+
+  it('rejects cursors that do not fit the sort keys', () => {
+    const malformed = [
+      ['x'],
+      ['2026-01-05T10:00:00+00:00'],
+      ['2026-01-05T10:00:00+00:00', ID_1, 3],
+      [ID_1, '2026-01-05T10:00:00+00:00'],
+      ['2026-01-05T10:00:00+00:00', 'not-a-uuid'],
+      ['yesterday', ID_1],
+      [{}, ID_1],
+      [null, null]
+    ];
+
+    for (const cursor of malformed) {
+      const params = ['user'];
+      const plan = keysetQuery(parsePage({ after: encodeCursor(cursor) }), { keys: KEYS }, params);
+      expect(plan).toEqual({ invalidCursor: true });
+      expect(params).toEqual(['user']);
+    }
+  });
+
+  it('checks integer keys against their range', () => {
+    const keys = [{ sql: 'n.id', type: 'int' }];
+    const page = (value) => parsePage({ after: encodeCursor([value]) });
+
+    expect(keysetQuery(page(42), { keys }, []).invalidCursor).toBeUndefined();
+    expect(keysetQuery(page('42'), { keys }, []).invalidCursor).toBe(true);
+    expect(keysetQuery(page(2 ** 31), { keys }, []).invalidCursor).toBe(true);
+    expect(keysetQuery(page(2 ** 31), { keys: [{ sql: 'e.id', type: 'bigint' }] }, []).invalidCursor).toBeUndefined();
+  });
+
+  it('rejects keyset cursors on offset-only sorts', () => {
+    const plan = keysetQuery(
+      parsePage({ after: encodeCursor(['2026-01-05T10:00:00+00:00', ID_1]) }),
+      { keys: null, orderBy: 'score DESC' },
+      []
+    );
+    expect(plan.invalidCursor).toBe(true);
+  });
+
+  it('pages by offset for offset cursors', () => {
+    const params = [];
+    const plan = keysetQuery(parsePage({ after: encodeCursor({ offset: 20 }) }), { keys: KEYS }, params);
+
+    expect(plan.where).toBeNull();
+    expect(plan.offset).toBe('$2');
+    expect(params).toEqual([21, 20]);
+  });
+});
+
+describe('buildPage', () => {
+  it('returns a next cursor when there are more rows', () => {
+    const page = parsePage({ limit: '3' });
+    const plan = keysetQuery(page, { keys: KEYS }, []);
+    const rows = makeRows(4);
+
+    const { rows: pageRows, pagination } = buildPage(rows, page, plan, 10);
+
+    expect(pageRows.map(row => row.id)).toEqual([1, 2, 3]);
+    expect(pageRows[0]).not.toHaveProperty('page_cursor');
+    expect(decodeCursor(pagination.next_cursor)).toEqual(rows[2].page_cursor);
+    expect(pagination.prev_cursor).toBeNull();
+    expect(pagination.total).toBe(10);
+  });
+
+  it('returns both cursors in the middle of the list', () => {
+    const page = parsePage({ limit: '3', after: encodeCursor(['2026-01-21T10:00:00+00:00', ID_1]) });
+    const plan = keysetQuery(page, { keys: KEYS }, []);
+    const rows = makeRows(4);
+
+    const { pagination } = buildPage(rows, page, plan, 10);
+
+    expect(decodeCursor(pagination.next_cursor)).toEqual(rows[2].page_cursor);
+    expect(decodeCursor(pagination.prev_cursor)).toEqual(rows[0].page_cursor);
+  });
+
+  it('pages by offset for offset-only sorts', () => {
+    const page = parsePage({ limit: '3', offset: '3' });
+    const plan = keysetQuery(page, { keys: null, orderBy: 'score DESC' }, []);
+
+    const { pagination } = buildPage(makeRows(4), page, plan, 10);
+
+    expect(pagination.offset).toBe(3);
+    expect(decodeCursor(pagination.next_cursor)).toEqual({ offset: 6 });
+    expect(decodeCursor(pagination.prev_cursor)).toEqual({ offset: 0 });
+  });
+
+  describe('fromEnd', () => {
+    it('starts at the last page, in list order', () => {
+      const page = parsePage({ limit: '3' });
+      const plan = keysetQuery(page, { keys: KEYS, direction: 'ASC', fromEnd: true }, []);
+      expect(plan.backwards).toBe(true);
+      expect(plan.orderBy).toBe('p.created_at DESC, p.id DESC');
+
+      // Read newest first; one row more than the limit means older pages exist
+      const rows = makeRows(4);
+      const { rows: pageRows, pagination } = buildPage(rows, page, plan, 10);
+
+      expect(pageRows.map(row => row.id)).toEqual([3, 2, 1]);
+      expect(pagination.next_cursor).toBeNull();
+      expect(decodeCursor(pagination.prev_cursor)).toEqual(rows[2].page_cursor);
+    });
+
+    it('has no previous page when everything fits', () => {
+      const page = parsePage({ limit: '3' });
+      const plan = keysetQuery(page, { keys: KEYS, direction: 'ASC', fromEnd: true }, []);
+
+      const { rows: pageRows, pagination } = buildPage(makeRows(2), page, plan, 2);
+
+      expect(pageRows.map(row => row.id)).toEqual([2, 1]);
+      expect(pagination.next_cursor).toBeNull();
+      expect(pagination.prev_cursor).toBeNull();
+    });
+
+    it('links back to later pages from ?before=', () => {
+      const page = parsePage({ limit: '3', before: encodeCursor(['2026-01-21T10:00:00+00:00', ID_1]) });
+      const plan = keysetQuery(page, { keys: KEYS, direction: 'ASC', fromEnd: true }, []);
+
+      const rows = makeRows(3);
+      const { rows: pageRows, pagination } = buildPage(rows, page, plan, 10);
+
+      expect(pageRows.map(row => row.id)).toEqual([3, 2, 1]);
+      expect(decodeCursor(pagination.next_cursor)).toEqual(rows[0].page_cursor);
+      expect(pagination.prev_cursor).toBeNull();
+    });
+  });
+});
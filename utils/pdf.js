@@ -0,0 +1,181 @@
+// Minimal PDF writer for text documents: A4 pages, the standard Helvetica
+// fonts (nothing embedded) and WinAnsi text, so exports need no external
+// services or native libraries.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 1.35;
+
+// Glyph widths (per 1000 units of font size) of characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  278, 278, 584, 584, 584, 556, 1015,
+  667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  278, 278, 278, 469, 556, 333,
+  556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833,
+  556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+  334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  333, 333, 584, 584, 584, 611, 975,
+  722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  333, 278, 333, 584, 556, 333,
+  556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889,
+  611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+  389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsi has at other codes
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Character codes of a line of text. Anything WinAnsi can't show becomes "?".
+const encode = (text) => [...text].map((char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  return WIN_ANSI_EXTRAS[char] || 63;
+});
+
+const charWidth = (code, bold) => {
+  if (code >= 32 && code <= 126) {
+    return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+  }
+  // Accented capitals are about as wide as capitals, everything else as a digit
+  return code >= 0xc0 && code <= 0xde ? 722 : 556;
+};
+
+const textWidth = (codes, size, bold) =>
+  codes.reduce((sum, code) => sum + charWidth(code, bold), 0) * size / 1000;
+
+// Break a line into lines that fit `width`, at spaces where possible
+const wrap = (codes, size, bold, width) => {
+  const lines = [];
+  let line = [];
+
+  const words = [];
+  let word = [];
+  for (const code of codes) {
+    if (code === 32) {
+      words.push(word);
+      word = [];
+    } else {
+      word.push(code);
+    }
+  }
+  words.push(word);
+
+  for (const next of words) {
+    const candidate = line.length > 0 ? [...line, 32, ...next] : next;
+    if (textWidth(candidate, size, bold) <= width) {
+      line = candidate;
+      continue;
+    }
+
+    if (line.length > 0) lines.push(line);
+    line = [];
+
+    // Words wider than a whole line are split wherever they run out of room
+    for (const code of next) {
+      if (line.length > 0 && textWidth([...line, code], size, bold) > width) {
+        lines.push(line);
+        line = [];
+      }
+      line.push(code);
+    }
+  }
+  lines.push(line);
+  return lines;
+};
+
+// A PDF string literal. Non-ASCII codes are written as octal escapes so the
+// file stays ASCII and byte offsets equal string lengths.
+const pdfString = (codes) => `(${codes.map((code) => {
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+  if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(code);
+}).join('')})`;
+
+// Render `blocks` into a PDF and return it as a Buffer. Each block is a
+// paragraph: { text, size = 10, bold = false, muted = false, indent = 0,
+// spaceBefore = 0 }. Line breaks in `text` start new lines.
+const renderPdf = (blocks, { title = '' } = {}) => {
+  const pages = [];
+  let content = [];
+  let y = 0;
+
+  const newPage = () => {
+    content = [];
+    pages.push(content);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  newPage();
+
+  for (const block of blocks) {
+    const { size = 10, bold = false, muted = false, indent = 0, spaceBefore = 0 } = block;
+    const leading = size * LINE_HEIGHT;
+    const width = PAGE_WIDTH - MARGIN * 2 - indent;
+
+    y -= spaceBefore;
+
+    const paragraphs = String(block.text || '').replace(/\r\n?/g, '\n').replace(/\t/g, ' ').split('\n');
+    for (const paragraph of paragraphs) {
+      for (const line of wrap(encode(paragraph), size, bold, width)) {
+        if (y - leading < MARGIN) newPage();
+        y -= leading;
+        if (line.length === 0) continue;
+
+        content.push(
+          `BT ${muted ? '0.4' : '0'} g /${bold ? 'F2' : 'F1'} ${size} Tf ` +
+          `${MARGIN + indent} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`
+        );
+      }
+    }
+  }
+
+  // Objects 1-5 are fixed; each page then adds a page and a content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title ${pdfString(encode(title))} /Producer (DevFolio) >>`
+  ];
+
+  pages.forEach((lines, index) => {
+    const stream = lines.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,131 @@
+const { EventEmitter } = require('events');
+const { query } = require('../config/database');
+
+const EVENT_TTL_MINUTES = parseInt(process.env.REALTIME_EVENT_TTL_MINUTES) || 60;
+const POLL_INTERVAL_MS = parseInt(process.env.REALTIME_POLL_INTERVAL_MS) || 2000;
+const SETTLE_MS = parseInt(process.env.REALTIME_SETTLE_MS) || 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+const MAX_EVENTS_PER_READ = 100;
+
+// Events are stored in message_events so every instance (and every
+// serverless invocation) can read them. Within one process, listeners are
+// also woken up right away instead of waiting for the next poll.
+const wakeups = new EventEmitter();
+wakeups.setMaxListeners(0);
+
+let lastPrunedAt = 0;
+
+const pruneEvents = async () => {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  await query(
+    'DELETE FROM message_events WHERE created_at < NOW() - make_interval(mins => $1)',
+    [EVENT_TTL_MINUTES]
+  );
+};
+
+// Push an event to each of `userIds`. Failures are logged rather than thrown
+// so a delivery problem never breaks the request that caused the event.
+const publish = async (userIds, type, data) => {
+  const recipients = [...new Set(userIds)];
+
+  try {
+    await query(
+      `INSERT INTO message_events (user_id, type, data)
+       SELECT unnest($1::uuid[]), $2, $3`,
+      [recipients, type, data]
+    );
+
+    for (const userId of recipients) {
+      wakeups.emit(userId);
+    }
+
+    await pruneEvents();
+  } catch (error) {
+    console.error('Publish event error:', error);
+  }
+};
+
+// Cursor for a client that is starting fresh: only events after now
+const latestCursor = async (userId) => {
+  const result = await query(
+    'SELECT COALESCE(MAX(id), 0) as id FROM message_events WHERE user_id = $1',
+    [userId]
+  );
+  return String(result.rows[0].id);
+};
+
+// Events for `userId` after `cursor`, oldest first.
+//
+// Ids are taken from the sequence before the insert commits, so an event can
+// become visible after one with a higher id. To keep cursors from skipping
+// it, events are only handed out once they are SETTLE_MS old, and never past
+// one that isn't.
+const getEvents = async (userId, cursor) => {
+  const result = await query(
+    `SELECT id, type, data, created_at,
+            created_at < NOW() - make_interval(secs => $4) as settled
+     FROM message_events
+     WHERE user_id = $1 AND id > $2
+     ORDER BY id ASC
+     LIMIT $3`,
+    [userId, cursor, MAX_EVENTS_PER_READ, SETTLE_MS / 1000]
+  );
+
+  const unsettled = result.rows.findIndex(row => !row.settled);
+  const rows = unsettled === -1 ? result.rows : result.rows.slice(0, unsettled);
+  return rows.map(({ settled, ...event }) => event);
+};
+
+// Call `listener` whenever an event is published for `userId` in this
+// process. Returns a function that unsubscribes.
+const subscribe = (userId, listener) => {
+  wakeups.on(userId, listener);
+  return () => wakeups.off(userId, listener);
+};
+
+// Resolve with events after `cursor` as soon as there are any, or with an
+// empty list after `timeoutMs`. `isCancelled` lets the caller stop early,
+// e.g. when the client disconnects.
+const waitForEvents = async (userId, cursor, timeoutMs, isCancelled = () => false) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const events = await getEvents(userId, cursor);
+    const remaining = deadline - Date.now();
+
+    if (events.length > 0 || remaining <= 0 || isCancelled()) {
+      return events;
+    }
+
+    await new Promise((resolve) => {
+      let timer = null;
+      let woken = false;
+      const done = () => {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve();
+      };
+      timer = setTimeout(done, Math.min(POLL_INTERVAL_MS, remaining));
+
+      // A new event can be read once it has settled
+      const unsubscribe = subscribe(userId, () => {
+        if (woken) return;
+        woken = true;
+        clearTimeout(timer);
+        timer = setTimeout(done, Math.min(SETTLE_MS, remaining));
+      });
+    });
+  }
+};
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  SETTLE_MS,
+  publish,
+  latestCursor,
+  getEvents,
+  subscribe,
+  waitForEvents
+};
@@ -0,0 +1,46 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../config/database');
+const { SETTLE_MS, getEvents, waitForEvents } = require('./realtime');
+
+const event = (id, settled) => ({ id, type: 'message:new', data: {}, created_at: new Date(), settled });
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+describe('getEvents', () => {
+  it('returns settled events without the settled flag', async () => {
+    query.mockResolvedValue({ rows: [event(4, true), event(5, true)] });
+
+    const events = await getEvents('u1', '3');
+
+    expect(events.map(row => row.id)).toEqual([4, 5]);
+    expect(events[0]).not.toHaveProperty('settled');
+    expect(query.mock.calls[0][1]).toEqual(['u1', '3', 100, SETTLE_MS / 1000]);
+  });
+
+  it('stops before the first event that has not settled', async () => {
+    // 6 may still be followed by a lower id that hasn't committed yet
+    query.mockResolvedValue({ rows: [event(4, true), event(6, false), event(7, true)] });
+
+    expect((await getEvents('u1', '3')).map(row => row.id)).toEqual([4]);
+  });
+});
+
+describe('waitForEvents', () => {
+  it('returns as soon as settled events are there', async () => {
+    query.mockResolvedValue({ rows: [event(4, true)] });
+
+    const events = await waitForEvents('u1', '3', 5000);
+
+    expect(events.map(row => row.id)).toEqual([4]);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up with no events after the timeout', async () => {
+    query.mockResolvedValue({ rows: [event(4, false)] });
+
+    expect(await waitForEvents('u1', '3', 0)).toEqual([]);
+  });
+});
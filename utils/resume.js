@@ -0,0 +1,197 @@
+const { renderPdf } = require('./pdf');
+
+// Portfolio exports. The portfolio is first turned into a JSON Resume
+// document (https://jsonresume.org/schema, v1.0.0); the Markdown and PDF
+// exports are rendered from that document.
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Drop empty values so exports don't carry null fields
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+// "2021-03-01" -> "Mar 2021"
+const formatMonth = (date) => {
+  const [year, month] = String(date).split('-');
+  return month ? `${MONTHS[parseInt(month, 10) - 1]} ${year}` : year;
+};
+
+const formatDates = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return '';
+  return `${startDate ? formatMonth(startDate) : '?'} – ${endDate ? formatMonth(endDate) : 'Present'}`;
+};
+
+// Build the JSON Resume document. `portfolio` is shaped like the
+// GET /api/portfolios/:username response; `email` and `socialLinks` have
+// already been filtered by the owner's privacy settings.
+const toJsonResume = (portfolio, { email, socialLinks, url }) => ({
+  $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+  basics: compact({
+    name: portfolio.user.name || portfolio.user.username,
+    image: portfolio.user.avatar_url,
+    email,
+    url,
+    summary: portfolio.summary || portfolio.user.bio,
+    profiles: socialLinks.map(link => compact({
+      network: link.platform_name,
+      username: link.handle,
+      url: link.url
+    }))
+  }),
+  work: portfolio.experience.map(entry => compact({
+    name: entry.company,
+    position: entry.role,
+    location: entry.location,
+    startDate: entry.start_date,
+    endDate: entry.is_current ? null : entry.end_date,
+    summary: entry.description
+  })),
+  education: portfolio.education.map(entry => compact({
+    institution: entry.school,
+    studyType: entry.degree,
+    location: entry.location,
+    startDate: entry.start_date,
+    endDate: entry.is_current ? null : entry.end_date,
+    summary: entry.description
+  })),
+  skills: portfolio.skills.map(skill => compact({
+    name: skill.name,
+    level: skill.level,
+    keywords: skill.category ? [skill.category] : null
+  })),
+  projects: portfolio.featured_projects.map(project => compact({
+    name: project.title,
+    description: project.description,
+    url: project.demo_url || project.github_url,
+    keywords: project.tags.length > 0 ? project.tags : null
+  })),
+  meta: compact({
+    canonical: url,
+    version: 'v1.0.0',
+    lastModified: portfolio.updated_at
+  })
+});
+
+// Skills grouped by category, uncategorized ones last
+const groupSkills = (skills) => {
+  const groups = new Map();
+  for (const skill of skills) {
+    const category = skill.keywords ? skill.keywords[0] : '';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(skill.level ? `${skill.name} (${skill.level})` : skill.name);
+  }
+  return [...groups.entries()].sort(([a], [b]) => (a === '') - (b === ''));
+};
+
+const contactLine = (basics) => [
+  basics.email,
+  basics.url,
+  ...(basics.profiles || []).map(profile => profile.url)
+].filter(Boolean);
+
+// Characters that would start Markdown formatting in one-line fields.
+// Descriptions are left as written, since people often use Markdown there.
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+const toMarkdown = (resume) => {
+  const { basics } = resume;
+  const lines = [`# ${escapeMarkdown(basics.name)}`, ''];
+
+  const contact = contactLine(basics);
+  if (contact.length > 0) lines.push(contact.join(' · '), '');
+  if (basics.summary) lines.push(basics.summary, '');
+
+  const entrySection = (heading, entries, title, subtitle) => {
+    if (entries.length === 0) return;
+    lines.push(`## ${heading}`, '');
+    for (const entry of entries) {
+      lines.push(`### ${[title(entry), subtitle(entry)].filter(Boolean).map(escapeMarkdown).join(', ')}`);
+      const meta = [entry.location, formatDates(entry)].filter(Boolean);
+      if (meta.length > 0) lines.push(`*${meta.map(escapeMarkdown).join(' · ')}*`);
+      lines.push('');
+      if (entry.summary) lines.push(entry.summary, '');
+    }
+  };
+
+  entrySection('Experience', resume.work, entry => entry.position, entry => entry.name);
+  entrySection('Education', resume.education, entry => entry.studyType, entry => entry.institution);
+
+  if (resume.skills.length > 0) {
+    lines.push('## Skills', '');
+    for (const [category, names] of groupSkills(resume.skills)) {
+      const list = names.map(escapeMarkdown).join(', ');
+      lines.push(category ? `- **${escapeMarkdown(category)}:** ${list}` : `- ${list}`);
+    }
+    lines.push('');
+  }
+
+  if (resume.projects.length > 0) {
+    lines.push('## Projects', '');
+    for (const project of resume.projects) {
+      const name = escapeMarkdown(project.name);
+      lines.push(`### ${project.url ? `[${name}](${project.url})` : name}`, '');
+      if (project.description) lines.push(project.description, '');
+      if (project.keywords) lines.push(`*${project.keywords.map(escapeMarkdown).join(', ')}*`, '');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const toPdf = (resume) => {
+  const { basics } = resume;
+  const blocks = [{ text: basics.name, size: 20, bold: true }];
+
+  const contact = contactLine(basics);
+  if (contact.length > 0) blocks.push({ text: contact.join('  ·  '), size: 9, muted: true, spaceBefore: 4 });
+  if (basics.summary) blocks.push({ text: basics.summary, spaceBefore: 12 });
+
+  const heading = (text) => blocks.push({ text, size: 13, bold: true, spaceBefore: 18 });
+
+  const entrySection = (title, entries, name, subtitle) => {
+    if (entries.length === 0) return;
+    heading(title);
+    for (const entry of entries) {
+      blocks.push({ text: [name(entry), subtitle(entry)].filter(Boolean).join(', '), size: 11, bold: true, spaceBefore: 8 });
+      const meta = [entry.location, formatDates(entry)].filter(Boolean);
+      if (meta.length > 0) blocks.push({ text: meta.join('  ·  '), size: 9, muted: true });
+      if (entry.summary) blocks.push({ text: entry.summary, spaceBefore: 2 });
+    }
+  };
+
+  entrySection('Experience', resume.work, entry => entry.position, entry => entry.name);
+  entrySection('Education', resume.education, entry => entry.studyType, entry => entry.institution);
+
+  if (resume.skills.length > 0) {
+    heading('Skills');
+    for (const [category, names] of groupSkills(resume.skills)) {
+      blocks.push({ text: category ? `${category}: ${names.join(', ')}` : names.join(', '), spaceBefore: 4 });
+    }
+  }
+
+  if (resume.projects.length > 0) {
+    heading('Projects');
+    for (const project of resume.projects) {
+      blocks.push({ text: project.name, size: 11, bold: true, spaceBefore: 8 });
+      if (project.url) blocks.push({ text: project.url, size: 9, muted: true });
+      if (project.description) blocks.push({ text: project.description, spaceBefore: 2 });
+      if (project.keywords) blocks.push({ text: project.keywords.join(', '), size: 9, muted: true, spaceBefore: 2 });
+    }
+  }
+
+  return renderPdf(blocks, { title: `${basics.name} - Résumé` });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toJsonResume,
+  toMarkdown,
+  toPdf
+};
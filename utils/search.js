@@ -0,0 +1,49 @@
+const { escapeHtml } = require('./emails');
+
+const MAX_TERMS = 10;
+
+// ts_headline wraps matches in these; highlight() turns them into <mark>
+// after escaping the rest, so snippets are safe to render as HTML
+const START_SEL = '\u0002';
+const STOP_SEL = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${START_SEL}", StopSel="${STOP_SEL}", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Turn free text into a tsquery string where every word is a prefix match,
+// e.g. "reac nod" -> "reac:* & nod:*". Returns null when there is nothing
+// to search for.
+const toPrefixQuery = (text) => {
+  const terms = String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  if (!terms) return null;
+  return terms.slice(0, MAX_TERMS).map(term => `${term}:*`).join(' & ');
+};
+
+// SQL for the tsquery held in `param`. Documents mix the 'simple' and
+// 'english' configurations (see the full-text search migration), so match
+// either form of each word.
+const tsQuery = (param) => `(to_tsquery('simple', ${param}) || to_tsquery('english', ${param}))`;
+
+// SQL for a highlighted snippet of `column`. `queryParam` holds the tsquery
+// string and `optionsParam` HEADLINE_OPTIONS.
+const headline = (column, queryParam, optionsParam) =>
+  `ts_headline('english', COALESCE(${column}, ''), ${tsQuery(queryParam)}, ${optionsParam})`;
+
+// Escape a ts_headline snippet and mark its matches, or null when nothing
+// in it matched
+const highlight = (snippet) => {
+  if (!snippet || !snippet.includes(START_SEL)) return null;
+
+  return escapeHtml(snippet)
+    .split(START_SEL).join('<mark>')
+    .split(STOP_SEL).join('</mark>');
+};
+
+module.exports = {
+  HEADLINE_OPTIONS,
+  toPrefixQuery,
+  tsQuery,
+  headline,
+  highlight
+};
@@ -0,0 +1,90 @@
+const MAX_SKILLS = 50;
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Optional details stored with each skill
+const SKILL_DETAILS = ['category', 'level', 'years'];
+
+// Canonical form used to match skills: "  TypeScript " -> "typescript"
+const normalizeSkill = (skill) => {
+  return String(skill).trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Parse a skill filter from a query string value: "typescript,postgresql" or
+// ?skills=typescript&skills=postgresql. Returns unique normalized skills.
+const parseSkillFilter = (value) => {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(raw.map(normalizeSkill).filter(Boolean))];
+};
+
+// Select-list item with the skills of the user in `userColumn`, in order,
+// with endorsement counts. With `viewerParam` (a user ID or NULL) each skill
+// also says whether that user endorsed it.
+const skillsJson = (userColumn, viewerParam = null) => `COALESCE(
+  (SELECT json_agg(
+     json_build_object(
+       'id', us.id,
+       'name', us.skill,
+       'category', us.category,
+       'level', us.level,
+       'years', us.years,
+       'position', us.position,
+       'endorsement_count', us.endorsement_count${viewerParam ? `,
+       'endorsed_by_me', EXISTS (
+         SELECT 1 FROM skill_endorsements se WHERE se.skill_id = us.id AND se.endorser_id = ${viewerParam}
+       )` : ''}
+     ) ORDER BY us.position
+   )
+   FROM user_skills us
+   WHERE us.user_id = ${userColumn}),
+  '[]'
+) as skills`;
+
+// Replace a user's skills with `skills`, in that order. `db` is a transaction
+// client. Entries are names or { name, category, level, years }. Skills the
+// user already has (ignoring case) are updated in place, so they keep their
+// endorsements, and details left out of an entry keep their current values.
+// Repeats of a skill are ignored.
+const setUserSkills = async (db, userId, skills) => {
+  const unique = new Map();
+  for (const skill of skills) {
+    const entry = typeof skill === 'string' ? { name: skill } : skill;
+    const name = String(entry.name).trim().replace(/\s+/g, ' ');
+    const key = normalizeSkill(name);
+    if (key && !unique.has(key)) unique.set(key, { ...entry, name });
+  }
+
+  await db.query(
+    'DELETE FROM user_skills WHERE user_id = $1 AND NOT (LOWER(skill) = ANY($2::text[]))',
+    [userId, [...unique.keys()]]
+  );
+
+  let position = 0;
+  for (const entry of unique.values()) {
+    const given = SKILL_DETAILS.filter(field => entry[field] !== undefined);
+    await db.query(
+      `INSERT INTO user_skills (user_id, skill, position, ${SKILL_DETAILS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, LOWER(skill)) DO UPDATE
+       SET skill = EXCLUDED.skill, position = EXCLUDED.position${given.map(field => `, ${field} = EXCLUDED.${field}`).join('')}`,
+      [userId, entry.name, position++, ...SKILL_DETAILS.map(field => entry[field] ?? null)]
+    );
+  }
+
+  const result = await db.query(
+    `SELECT id, skill as name, ${SKILL_DETAILS.join(', ')}, position, endorsement_count
+     FROM user_skills
+     WHERE user_id = $1
+     ORDER BY position`,
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  MAX_SKILLS,
+  SKILL_LEVELS,
+  normalizeSkill,
+  parseSkillFilter,
+  skillsJson,
+  setUserSkills
+};
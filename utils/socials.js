@@ -0,0 +1,190 @@
+const MAX_SOCIAL_LINKS = 20;
+
+// Platforms a social link can point to. `pattern` is the accepted profile URL;
+// its `handle` group (or the `handle` function, given the groups) is the
+// handle shown next to the icon. `website` takes any http(s) URL.
+const SOCIAL_PLATFORMS = {
+  github: {
+    name: 'GitHub',
+    icon: 'github',
+    example: 'https://github.com/username',
+    pattern: /^https?:\/\/(?:www\.)?github\.com\/(?<handle>[a-z0-9-]+)\/?$/i
+  },
+  gitlab: {
+    name: 'GitLab',
+    icon: 'gitlab',
+    example: 'https://gitlab.com/username',
+    pattern: /^https?:\/\/(?:www\.)?gitlab\.com\/(?<handle>[a-z0-9_.-]+)\/?$/i
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    icon: 'linkedin',
+    example: 'https://www.linkedin.com/in/username',
+    pattern: /^https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/in\/(?<handle>[^/?#\s]+)\/?$/i
+  },
+  twitter: {
+    name: 'X (Twitter)',
+    icon: 'twitter',
+    example: 'https://x.com/username',
+    pattern: /^https?:\/\/(?:www\.)?(?:twitter|x)\.com\/(?<handle>[a-z0-9_]{1,15})\/?$/i,
+    handle: ({ handle }) => `@${handle}`
+  },
+  mastodon: {
+    name: 'Mastodon',
+    icon: 'mastodon',
+    example: 'https://mastodon.social/@username',
+    pattern: /^https:\/\/(?<instance>[a-z0-9-]+(?:\.[a-z0-9-]+)+)\/@(?<user>[a-z0-9_]+)\/?$/i,
+    handle: ({ user, instance }) => `@${user}@${instance}`
+  },
+  bluesky: {
+    name: 'Bluesky',
+    icon: 'bluesky',
+    example: 'https://bsky.app/profile/username.bsky.social',
+    pattern: /^https:\/\/bsky\.app\/profile\/(?<handle>[a-z0-9.-]+)\/?$/i,
+    handle: ({ handle }) => `@${handle}`
+  },
+  stackoverflow: {
+    name: 'Stack Overflow',
+    icon: 'stackoverflow',
+    example: 'https://stackoverflow.com/users/12345/username',
+    pattern: /^https?:\/\/(?:www\.)?stackoverflow\.com\/users\/(?<id>\d+)(?:\/(?<name>[^/?#\s]+))?\/?$/i,
+    handle: ({ id, name }) => name || id
+  },
+  devto: {
+    name: 'DEV',
+    icon: 'devto',
+    example: 'https://dev.to/username',
+    pattern: /^https?:\/\/(?:www\.)?dev\.to\/(?<handle>[a-z0-9_]+)\/?$/i
+  },
+  medium: {
+    name: 'Medium',
+    icon: 'medium',
+    example: 'https://medium.com/@username',
+    pattern: /^https?:\/\/(?:www\.)?medium\.com\/@(?<handle>[a-z0-9_.-]+)\/?$/i,
+    handle: ({ handle }) => `@${handle}`
+  },
+  youtube: {
+    name: 'YouTube',
+    icon: 'youtube',
+    example: 'https://www.youtube.com/@channel',
+    pattern: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/(?:@(?<handle>[a-z0-9_.-]+)|(?:c|channel|user)\/(?<channel>[a-z0-9_-]+))\/?$/i,
+    handle: ({ handle, channel }) => (handle ? `@${handle}` : channel)
+  },
+  codepen: {
+    name: 'CodePen',
+    icon: 'codepen',
+    example: 'https://codepen.io/username',
+    pattern: /^https?:\/\/(?:www\.)?codepen\.io\/(?<handle>[a-z0-9_-]+)\/?$/i
+  },
+  website: {
+    name: 'Website',
+    icon: 'globe',
+    example: 'https://example.com',
+    pattern: null
+  }
+};
+
+// Registry entry for `platform`, or undefined when it isn't one. Only own
+// keys count, so names like "constructor" or "__proto__" aren't platforms.
+const getSocialPlatform = (platform) =>
+  (Object.hasOwn(SOCIAL_PLATFORMS, platform) ? SOCIAL_PLATFORMS[platform] : undefined);
+
+// The handle in a link to `platform` (null when the platform has none), or
+// undefined when the URL isn't a valid link for that platform
+const parseSocialLink = (platform, url) => {
+  const config = getSocialPlatform(platform);
+  if (!config || typeof url !== 'string') return undefined;
+
+  if (!config.pattern) {
+    try {
+      const { protocol } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:' ? null : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  const match = url.match(config.pattern);
+  if (!match) return undefined;
+  return config.handle ? config.handle(match.groups) : match.groups.handle;
+};
+
+// Select-list item with the social links of the user in `userColumn`, in
+// order. Pass the result through formatSocialLinks() for responses.
+const socialLinksJson = (userColumn) => `COALESCE(
+  (SELECT json_agg(
+     json_build_object('id', sl.id, 'platform', sl.platform, 'url', sl.url, 'label', sl.label, 'position', sl.position)
+     ORDER BY sl.position
+   )
+   FROM social_links sl
+   WHERE sl.user_id = ${userColumn}),
+  '[]'
+) as social_links`;
+
+// Response fields for a user's links: `social_links`, the ordered list with
+// platform details and handles, and `socials`, the first URL per platform
+const formatSocialLinks = (links) => {
+  const socialLinks = links.map((link) => {
+    const config = getSocialPlatform(link.platform);
+    return {
+      id: link.id,
+      platform: link.platform,
+      platform_name: config ? config.name : link.platform,
+      icon: config ? config.icon : 'link',
+      url: link.url,
+      handle: parseSocialLink(link.platform, link.url) ?? null,
+      label: link.label,
+      position: link.position
+    };
+  });
+
+  const socials = {};
+  for (const link of socialLinks) {
+    if (!(link.platform in socials)) socials[link.platform] = link.url;
+  }
+
+  return { socials, social_links: socialLinks };
+};
+
+// Replace a user's social links with `links` ({ platform, url, label }), in
+// that order. `db` is a transaction client. Repeated links are ignored.
+const setSocialLinks = async (db, userId, links) => {
+  const unique = new Map();
+  for (const link of links) {
+    const key = `${link.platform} ${link.url}`;
+    if (!unique.has(key)) unique.set(key, link);
+  }
+
+  await db.query('DELETE FROM social_links WHERE user_id = $1', [userId]);
+
+  const ordered = [...unique.values()];
+  if (ordered.length > 0) {
+    await db.query(
+      `INSERT INTO social_links (user_id, platform, url, label, position)
+       SELECT $1, l.platform, l.url, l.label, l.position - 1
+       FROM unnest($2::varchar[], $3::text[], $4::varchar[]) WITH ORDINALITY AS l(platform, url, label, position)`,
+      [
+        userId,
+        ordered.map(link => link.platform),
+        ordered.map(link => link.url),
+        ordered.map(link => link.label || null)
+      ]
+    );
+  }
+
+  const result = await db.query(
+    `SELECT ${socialLinksJson('$1')}`,
+    [userId]
+  );
+  return formatSocialLinks(result.rows[0].social_links);
+};
+
+module.exports = {
+  MAX_SOCIAL_LINKS,
+  SOCIAL_PLATFORMS,
+  getSocialPlatform,
+  parseSocialLink,
+  socialLinksJson,
+  formatSocialLinks,
+  setSocialLinks
+};
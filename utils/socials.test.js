@@ -0,0 +1,52 @@
+const { getSocialPlatform, parseSocialLink, formatSocialLinks } = require('./socials');
+
+describe('getSocialPlatform', () => {
+  it('returns registered platforms', () => {
+    expect(getSocialPlatform('github').name).toBe('GitHub');
+  });
+
+  it('ignores inherited object keys', () => {
+    for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+      expect(getSocialPlatform(name)).toBeUndefined();
+    }
+  });
+});
+
+describe('parseSocialLink', () => {
+  it('reads handles from profile URLs', () => {
+    expect(parseSocialLink('github', 'https://github.com/ada')).toBe('ada');
+    expect(parseSocialLink('twitter', 'https://x.com/ada')).toBe('@ada');
+    expect(parseSocialLink('mastodon', 'https://mastodon.social/@ada')).toBe('@ada@mastodon.social');
+  });
+
+  it('accepts any http(s) URL as a website, without a handle', () => {
+    expect(parseSocialLink('website', 'https://ada.dev')).toBeNull();
+    expect(parseSocialLink('website', 'javascript:alert(1)')).toBeUndefined();
+  });
+
+  it('rejects URLs for the wrong platform', () => {
+    expect(parseSocialLink('github', 'https://gitlab.com/ada')).toBeUndefined();
+  });
+
+  it('rejects inherited object keys as platforms', () => {
+    expect(parseSocialLink('toString', 'https://evil.example/x')).toBeUndefined();
+    expect(parseSocialLink('__proto__', 'https://evil.example/x')).toBeUndefined();
+  });
+});
+
+describe('formatSocialLinks', () => {
+  it('falls back to a generic icon for unknown platforms', () => {
+    const { social_links: [link] } = formatSocialLinks([
+      { id: 1, platform: 'constructor', url: 'https://evil.example/x', label: null, position: 0 }
+    ]);
+    expect(link).toMatchObject({ platform_name: 'constructor', icon: 'link', handle: null });
+  });
+
+  it('keeps the first URL per platform in socials', () => {
+    const { socials } = formatSocialLinks([
+      { id: 1, platform: 'github', url: 'https://github.com/ada', position: 0 },
+      { id: 2, platform: 'github', url: 'https://github.com/ada-work', position: 1 }
+    ]);
+    expect(socials).toEqual({ github: 'https://github.com/ada' });
+  });
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { supabaseAdmin } = require('../config/database');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Storage adapters. save() returns the public URL of the stored file and
+// remove() deletes the file behind a URL returned by save().
+const drivers = {
+  // Files on local disk, served by server.js under /uploads (development/tests)
+  local: {
+    dir: () => process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+    baseUrl: () => `${(process.env.PUBLIC_URL || '').replace(/\/$/, '')}/uploads/`,
+
+    async save(key, buffer) {
+      const filePath = path.join(this.dir(), key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return `${this.baseUrl()}${key}`;
+    },
+
+    async remove(key) {
+      await fs.promises.rm(path.join(this.dir(), key), { force: true });
+    }
+  },
+
+  // Supabase Storage bucket with public read access (production)
+  supabase: {
+    bucket: () => process.env.SUPABASE_STORAGE_BUCKET || 'uploads',
+    baseUrl() {
+      return `${process.env.SUPABASE_URL}/storage/v1/object/public/${this.bucket()}/`;
+    },
+
+    async save(key, buffer, contentType) {
+      const { error } = await supabaseAdmin.storage
+        .from(this.bucket())
+        .upload(key, buffer, { contentType, upsert: false });
+
+      if (error) throw error;
+
+      const { data } = supabaseAdmin.storage.from(this.bucket()).getPublicUrl(key);
+      return data.publicUrl;
+    },
+
+    async remove(key) {
+      const { error } = await supabaseAdmin.storage.from(this.bucket()).remove([key]);
+      if (error) throw error;
+    }
+  }
+};
+
+const getDriver = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return drivers[name];
+};
+
+// Store an uploaded image (a multer file) under `folder` and return its URL
+const saveImage = async (file, folder) => {
+  const key = `${folder}/${crypto.randomUUID()}.${EXTENSIONS[file.mimetype] || 'bin'}`;
+  return getDriver().save(key, file.buffer, file.mimetype);
+};
+
+// The storage key behind a URL returned by save(), or null for URLs that
+// point elsewhere (defaults, user-supplied links)
+const storedKey = (url) => {
+  if (typeof url !== 'string') return null;
+
+  const baseUrl = getDriver().baseUrl();
+  if (!url.startsWith(baseUrl)) return null;
+
+  const key = url.slice(baseUrl.length);
+  if (!key || key.split('/').includes('..')) return null;
+  return key;
+};
+
+// Whether `url` points into our storage, and with `folder`, at a file under it
+const isStoredFile = (url, folder) => {
+  const key = storedKey(url);
+  return key !== null && (!folder || key.startsWith(`${folder}/`));
+};
+
+// Delete a file we stored earlier under `folder`, the owner's prefix such as
+// `avatars/<userId>` or `projects/<projectId>`. Anything else, including
+// another user's uploads, is left alone. Failures are logged, not thrown, so
+// a missing file never breaks the request that replaced it.
+const removeImage = async (url, folder) => {
+  if (!folder || !isStoredFile(url, folder)) return;
+
+  try {
+    await getDriver().remove(storedKey(url));
+  } catch (error) {
+    console.error('Remove file error:', error);
+  }
+};
+
+module.exports = {
+  EXTENSIONS,
+  saveImage,
+  isStoredFile,
+  removeImage
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../config/database', () => ({ supabaseAdmin: {} }));
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devfolio-uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = uploadDir;
+process.env.PUBLIC_URL = 'http://api.test';
+
+const { isStoredFile, removeImage } = require('./storage');
+
+const store = (key) => {
+  const filePath = path.join(uploadDir, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, 'image');
+  return { filePath, url: `http://api.test/uploads/${key}` };
+};
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('isStoredFile', () => {
+  it('recognizes URLs in our storage', () => {
+    expect(isStoredFile('http://api.test/uploads/avatars/u1/a.png')).toBe(true);
+    expect(isStoredFile('https://cdn.example.com/a.png')).toBe(false);
+    expect(isStoredFile(null)).toBe(false);
+  });
+
+  it('checks the folder when one is given', () => {
+    const url = 'http://api.test/uploads/avatars/u1/a.png';
+    expect(isStoredFile(url, 'avatars/u1')).toBe(true);
+    expect(isStoredFile(url, 'avatars/u2')).toBe(false);
+    expect(isStoredFile('http://api.test/uploads/avatars/u10/a.png', 'avatars/u1')).toBe(false);
+  });
+
+  it('rejects keys that climb out of the folder', () => {
+    expect(isStoredFile('http://api.test/uploads/avatars/u1/../u2/a.png', 'avatars/u1')).toBe(false);
+  });
+});
+
+describe('removeImage', () => {
+  it("deletes the caller's own file", async () => {
+    const { filePath, url } = store('avatars/u1/own.png');
+    await removeImage(url, 'avatars/u1');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("leaves another user's file alone", async () => {
+    const { filePath, url } = store('avatars/u2/theirs.png');
+    await removeImage(url, 'avatars/u1');
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+
+  it('does nothing without a folder', async () => {
+    const { filePath, url } = store('covers/u3/cover.png');
+    await removeImage(url);
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+});
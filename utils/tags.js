@@ -0,0 +1,59 @@
+const MAX_TAGS_PER_PROJECT = 20;
+
+// Canonical form used to match tags: "  Node.js " -> "node.js", "Vue 3" -> "vue-3"
+const slugifyTag = (tag) => {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+};
+
+// Parse a tag filter from a query string value: "react,postgres" or
+// ?tags=react&tags=postgres. Returns unique slugs.
+const parseTagFilter = (value) => {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(raw.map(slugifyTag).filter(Boolean))];
+};
+
+// Replace a project's tags. `db` is a transaction client. New tags are
+// created with the name as first written; existing ones keep their name.
+const setProjectTags = async (db, projectId, tags) => {
+  const unique = new Map();
+  for (const tag of tags) {
+    const name = String(tag).trim().replace(/\s+/g, ' ');
+    const slug = slugifyTag(name);
+    if (slug && !unique.has(slug)) unique.set(slug, name);
+  }
+
+  await db.query('DELETE FROM project_tags WHERE project_id = $1', [projectId]);
+
+  if (unique.size === 0) return [];
+
+  const slugs = [...unique.keys()];
+  const names = [...unique.values()];
+
+  await db.query(
+    `INSERT INTO tags (name, slug)
+     SELECT * FROM unnest($1::varchar[], $2::varchar[])
+     ON CONFLICT (slug) DO NOTHING`,
+    [names, slugs]
+  );
+
+  const result = await db.query(
+    `INSERT INTO project_tags (project_id, tag_id)
+     SELECT $1, id FROM tags WHERE slug = ANY($2)
+     RETURNING tag_id`,
+    [projectId, slugs]
+  );
+
+  const tagNames = await db.query(
+    'SELECT name FROM tags WHERE id = ANY($1) ORDER BY name',
+    [result.rows.map(row => row.tag_id)]
+  );
+
+  return tagNames.rows.map(row => row.name);
+};
+
+module.exports = {
+  MAX_TAGS_PER_PROJECT,
+  slugifyTag,
+  parseTagFilter,
+  setProjectTags
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+
+const ACCESS_TOKEN_TYPE = 'access';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Hash opaque tokens before they touch the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Short-lived JWT sent as the Bearer token
+const generateAccessToken = (userId) => {
+  return jwt.sign(
+    { userId, type: ACCESS_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Store a new refresh token and return the raw value for the client
+const createRefreshToken = async (db, userId, req, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING id`,
+    [
+      userId,
+      familyId,
+      hashToken(token),
+      req ? req.get('user-agent') || null : null,
+      req ? req.ip || null : null,
+      REFRESH_TOKEN_TTL_DAYS
+    ]
+  );
+
+  return { id: result.rows[0].id, token };
+};
+
+// Issue an access/refresh token pair for a fresh login
+const issueTokens = async (userId, req, db = { query }) => {
+  const refresh = await createRefreshToken(db, userId, req);
+
+  return {
+    token: generateAccessToken(userId),
+    refresh_token: refresh.token
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired or revoked. Presenting an already-rotated token revokes
+// its whole family, since it means the token has leaked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `SELECT id, user_id, family_id, expires_at, revoked_at
+       FROM refresh_tokens
+       WHERE token_hash = $1
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [stored.family_id]
+      );
+      return null;
+    }
+
+    if (stored.expires_at <= new Date()) {
+      return null;
+    }
+
+    const refresh = await createRefreshToken(client, stored.user_id, req, stored.family_id);
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2',
+      [refresh.id, stored.id]
+    );
+
+    return {
+      userId: stored.user_id,
+      token: generateAccessToken(stored.user_id),
+      refresh_token: refresh.token
+    };
+  });
+};
+
+// Revoke a single session (logout)
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE token_hash = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [hashToken(refreshToken)]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Revoke every session a user has (logout from all devices)
+const revokeAllRefreshTokens = async (userId, db = { query }) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_TYPE,
+  hashToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
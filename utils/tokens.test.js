@@ -0,0 +1,116 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const { hashToken, issueTokens, rotateRefreshToken, revokeRefreshToken } = require('./tokens');
+
+// In-memory refresh_tokens table answering the queries tokens.js runs
+let rows;
+const db = {
+  query: async (text, params) => {
+    if (text.startsWith('INSERT INTO refresh_tokens')) {
+      const row = {
+        id: rows.length + 1,
+        user_id: params[0],
+        family_id: params[1],
+        token_hash: params[2],
+        expires_at: new Date(Date.now() + params[5] * 24 * 60 * 60 * 1000),
+        revoked_at: null,
+        replaced_by: null
+      };
+      rows.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (text.includes('WHERE token_hash = $1') && text.trim().startsWith('SELECT')) {
+      return { rows: rows.filter(row => row.token_hash === params[0]).map(row => ({ ...row })) };
+    }
+    if (text.includes('WHERE family_id = $1')) {
+      rows.filter(row => row.family_id === params[0] && !row.revoked_at)
+        .forEach((row) => { row.revoked_at = new Date(); });
+      return { rows: [] };
+    }
+    if (text.includes('replaced_by = $1 WHERE id = $2')) {
+      const row = rows.find(candidate => candidate.id === params[1]);
+      row.revoked_at = new Date();
+      row.replaced_by = params[0];
+      return { rows: [] };
+    }
+    if (text.includes('WHERE token_hash = $1 AND revoked_at IS NULL')) {
+      const row = rows.find(candidate => candidate.token_hash === params[0] && !candidate.revoked_at);
+      if (!row) return { rows: [] };
+      row.revoked_at = new Date();
+      return { rows: [{ id: row.id }] };
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  }
+};
+
+beforeEach(() => {
+  rows = [];
+  query.mockImplementation(db.query);
+  transaction.mockImplementation(fn => fn(db));
+});
+
+describe('issueTokens', () => {
+  it('returns an access token and stores only a hash of the refresh token', async () => {
+    const { token, refresh_token } = await issueTokens('u1');
+
+    expect(jwt.verify(token, 'test-secret')).toMatchObject({ userId: 'u1', type: 'access' });
+    expect(rows).toHaveLength(1);
+    expect(rows[0].token_hash).toBe(hashToken(refresh_token));
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('exchanges a refresh token for a new pair in the same family', async () => {
+    const first = await issueTokens('u1');
+    const second = await rotateRefreshToken(first.refresh_token);
+
+    expect(second.userId).toBe('u1');
+    expect(second.refresh_token).not.toBe(first.refresh_token);
+    expect(rows[1].family_id).toBe(rows[0].family_id);
+    expect(rows[0]).toMatchObject({ replaced_by: rows[1].id });
+    expect(rows[0].revoked_at).not.toBeNull();
+    expect(rows[1].revoked_at).toBeNull();
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const first = await issueTokens('u1');
+    const second = await rotateRefreshToken(first.refresh_token);
+    const third = await rotateRefreshToken(second.refresh_token);
+
+    expect(await rotateRefreshToken(first.refresh_token)).toBeNull();
+    expect(rows.every(row => row.revoked_at)).toBe(true);
+    expect(await rotateRefreshToken(third.refresh_token)).toBeNull();
+  });
+
+  it('leaves other families alone', async () => {
+    const stolen = await issueTokens('u1');
+    const otherDevice = await issueTokens('u1');
+    await rotateRefreshToken(stolen.refresh_token);
+    // Reusing the rotated token revokes only its own family
+    await rotateRefreshToken(stolen.refresh_token);
+
+    expect(await rotateRefreshToken(otherDevice.refresh_token)).not.toBeNull();
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    expect(await rotateRefreshToken('nope')).toBeNull();
+
+    const { refresh_token } = await issueTokens('u1');
+    rows[0].expires_at = new Date(Date.now() - 1000);
+    expect(await rotateRefreshToken(refresh_token)).toBeNull();
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('revokes a session once', async () => {
+    const { refresh_token } = await issueTokens('u1');
+
+    expect(await revokeRefreshToken(refresh_token)).toBe(true);
+    expect(await revokeRefreshToken(refresh_token)).toBe(false);
+    expect(await rotateRefreshToken(refresh_token)).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+const { generateSecret, generateCode, verifyCode, otpauthUri } = require('./totp');
+
+// Base32 of the ASCII secret "12345678901234567890" from RFC 6238 appendix B
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('generateCode', () => {
+  // RFC 6238 SHA-1 vectors, truncated to our 6 digits
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches the RFC 6238 vector at T=%i', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, stepAt(seconds))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111;
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(now * 1000);
+  });
+
+  it('returns the step of a current code', () => {
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(stepAt(now));
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    const step = stepAt(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    const step = stepAt(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('widens the window on request', () => {
+    const step = stepAt(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), 2)).toBe(step - 2);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '050 471')).toBe(stepAt(now));
+    expect(verifyCode(RFC_SECRET, '05047')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns a 160-bit base32 secret', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('otpauthUri', () => {
+  it('labels the account with the issuer', () => {
+    const uri = otpauthUri(RFC_SECRET, 'ada@example.com');
+    expect(uri.startsWith('otpauth://totp/DevFolio%3Aada%40example.com?')).toBe(true);
+    expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+  });
+});
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_TYPE = '2fa_challenge';
+
+// Short-lived token proving the password step succeeded. authenticate
+// rejects it; it can only be exchanged at POST /api/auth/2fa/verify.
+const createChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, type: CHALLENGE_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Returns the user id from a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === CHALLENGE_TOKEN_TYPE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Replace the user's recovery codes with a fresh set and return them in
+// plain text. They are only shown to the user this once.
+const generateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  const values = codes.map((_, index) => `($1, $${index + 2})`).join(', ');
+  await db.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ${values}`,
+    [userId, ...codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+};
+
+// Check a TOTP code for a user with 2FA set up, rejecting codes from a time
+// step that was already used
+const verifyTotp = async (userId, code) => {
+  return transaction(async (client) => {
+    const result = await client.query(
+      'SELECT totp_secret, totp_last_used_step FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user || !user.totp_secret) return false;
+
+    const step = verifyCode(user.totp_secret, code);
+    if (step === null) return false;
+
+    if (user.totp_last_used_step !== null && step <= parseInt(user.totp_last_used_step)) {
+      return false;
+    }
+
+    await client.query(
+      'UPDATE users SET totp_last_used_step = $1 WHERE id = $2',
+      [step, userId]
+    );
+    return true;
+  });
+};
+
+// Use up one recovery code
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Verify the second factor from a request body: either `code` (TOTP) or
+// `recovery_code`
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  if (code) {
+    return verifyTotp(userId, code);
+  }
+  if (recovery_code) {
+    return consumeRecoveryCode(userId, recovery_code);
+  }
+  return false;
+};
+
+module.exports = {
+  createChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor
+};
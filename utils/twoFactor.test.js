@@ -0,0 +1,112 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query, transaction } = require('../config/database');
+const { generateCode } = require('./totp');
+const { hashToken } = require('./tokens');
+const { generateRecoveryCodes, verifyTotp, verifySecondFactor } = require('./twoFactor');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 1111111111;
+const STEP = Math.floor(NOW / 30);
+
+// A users row for verifyTotp, with the queries run against it
+const totpClient = (lastUsedStep) => {
+  const user = { totp_secret: SECRET, totp_last_used_step: lastUsedStep };
+  const client = {
+    user,
+    query: jest.fn(async (text, params) => {
+      if (text.startsWith('SELECT')) return { rows: [{ ...user }] };
+      user.totp_last_used_step = String(params[0]);
+      return { rows: [] };
+    })
+  };
+  transaction.mockImplementation(fn => fn(client));
+  return client;
+};
+
+// The recovery code table: code hashes still unused
+const recoveryCodes = (codes) => {
+  const unused = new Set(codes.map(code => hashToken(code.replace('-', ''))));
+  query.mockImplementation(async (text, params) => {
+    if (!unused.delete(params[1])) return { rows: [] };
+    return { rows: [{ id: 1 }] };
+  });
+};
+
+beforeEach(() => {
+  query.mockReset();
+  transaction.mockReset();
+  jest.useFakeTimers().setSystemTime(NOW * 1000);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('verifyTotp', () => {
+  it('accepts a current code and records its step', async () => {
+    const client = totpClient(null);
+
+    expect(await verifyTotp('u1', generateCode(SECRET, STEP))).toBe(true);
+    expect(client.user.totp_last_used_step).toBe(String(STEP));
+  });
+
+  it('rejects a code from a step that was already used', async () => {
+    const client = totpClient(null);
+    const code = generateCode(SECRET, STEP);
+
+    expect(await verifyTotp('u1', code)).toBe(true);
+    expect(await verifyTotp('u1', code)).toBe(false);
+    expect(client.query).toHaveBeenCalledTimes(3);
+  });
+
+  it('rejects codes from steps before the last used one', async () => {
+    totpClient(String(STEP));
+
+    expect(await verifyTotp('u1', generateCode(SECRET, STEP - 1))).toBe(false);
+  });
+
+  it('accepts a later step within the drift window', async () => {
+    totpClient(String(STEP));
+
+    expect(await verifyTotp('u1', generateCode(SECRET, STEP + 1))).toBe(true);
+  });
+
+  it('rejects users without 2FA set up', async () => {
+    const client = totpClient(null);
+    client.user.totp_secret = null;
+
+    expect(await verifyTotp('u1', generateCode(SECRET, STEP))).toBe(false);
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates ten codes and stores only their hashes', async () => {
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+    const codes = await generateRecoveryCodes(db, 'u1');
+
+    expect(codes).toHaveLength(10);
+    for (const code of codes) expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+
+    const [, params] = db.query.mock.calls[1];
+    expect(params.slice(1)).toEqual(codes.map(code => hashToken(code.replace('-', ''))));
+  });
+
+  it('can use each recovery code only once', async () => {
+    recoveryCodes(['abcde-12345', 'fedcb-54321']);
+
+    expect(await verifySecondFactor('u1', { recovery_code: 'abcde-12345' })).toBe(true);
+    expect(await verifySecondFactor('u1', { recovery_code: 'abcde-12345' })).toBe(false);
+    expect(await verifySecondFactor('u1', { recovery_code: 'fedcb-54321' })).toBe(true);
+  });
+
+  it('ignores case and separators', async () => {
+    recoveryCodes(['abcde-12345']);
+
+    expect(await verifySecondFactor('u1', { recovery_code: 'ABCDE 12345' })).toBe(true);
+  });
+
+  it('needs a code or a recovery code', async () => {
+    expect(await verifySecondFactor('u1', {})).toBe(false);
+  });
+});
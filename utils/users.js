@@ -0,0 +1,76 @@
+// Create a user together with their portfolio. Must run inside a transaction;
+// `client` is the transaction client. Returns the public user fields.
+const createUserWithPortfolio = async (client, {
+  name,
+  username,
+  email,
+  passwordHash = null,
+  emailVerified = false,
+  avatarUrl = null
+}) => {
+  const userResult = await client.query(
+    `INSERT INTO users (name, username, email, password_hash, bio, avatar_url, cover_image_url,
+                        email_verified, email_verified_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $8 THEN NOW() END)
+     RETURNING id, name, username, email, email_verified, avatar_url, created_at`,
+    [
+      name,
+      username,
+      email,
+      passwordHash,
+      'Developer passionate about creating amazing projects.',
+      avatarUrl || `https://i.pravatar.cc/150?u=${username}`,
+      'https://images.unsplash.com/photo-1517694712202-14dd9538aa97?w=900',
+      emailVerified
+    ]
+  );
+
+  const user = userResult.rows[0];
+
+  await client.query(
+    `INSERT INTO portfolios (user_id, summary)
+     VALUES ($1, $2)`,
+    [
+      user.id,
+      'Professional developer with a passion for building great software.'
+    ]
+  );
+
+  return user;
+};
+
+// Turn a display name or handle into a free username (letters, numbers and
+// underscores, 3-50 chars), appending a number when it's already taken
+const generateUniqueUsername = async (db, base) => {
+  let candidate = String(base || '')
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .slice(0, 40);
+
+  if (candidate.length < 3) {
+    candidate = candidate ? `dev_${candidate}` : 'developer';
+  }
+
+  const result = await db.query(
+    'SELECT username FROM users WHERE username = $1 OR username LIKE $2',
+    [candidate, `${candidate}\\_%`]
+  );
+  const taken = new Set(result.rows.map(row => row.username));
+
+  if (!taken.has(candidate)) {
+    return candidate;
+  }
+
+  for (let suffix = 1; ; suffix++) {
+    const next = `${candidate}_${suffix}`;
+    if (!taken.has(next)) {
+      return next;
+    }
+  }
+};
+
+module.exports = {
+  createUserWithPortfolio,
+  generateUniqueUsername
+};
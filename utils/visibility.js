@@ -0,0 +1,46 @@
+const PROJECT_VISIBILITIES = ['public', 'unlisted', 'private'];
+const PROJECT_STATUSES = ['draft', 'published', 'archived'];
+const PORTFOLIO_VISIBILITIES = ['public', 'private'];
+// Who can see a profile field (email, social links)
+const FIELD_VISIBILITIES = ['public', 'followers', 'private'];
+
+// SQL condition: project `alias` is published. Scheduled projects are
+// published with a publish time in the future and go live once it passes.
+const liveProject = (alias) =>
+  `(${alias}.status = 'published' AND ${alias}.published_at <= NOW())`;
+
+// SQL condition: project `alias` is live and public, for places that show
+// the same projects to everyone (search, tag counts, discovery)
+const publicProject = (alias) =>
+  `(${alias}.visibility = 'public' AND ${liveProject(alias)})`;
+
+// SQL condition: project `alias` shows up in lists (feeds, profiles,
+// portfolios) for the viewer in `viewerParam` (a user ID or NULL). Drafts,
+// scheduled, archived, unlisted and private projects are only listed for
+// their owner.
+const listedProject = (alias, viewerParam) =>
+  `(${alias}.user_id = ${viewerParam} OR ${publicProject(alias)})`;
+
+// SQL condition: the viewer can open project `alias` by its ID. Unlisted
+// projects open for anyone with the link, and archived ones stay reachable;
+// private projects and drafts only open for the owner.
+const viewableProject = (alias, viewerParam) =>
+  `(${alias}.user_id = ${viewerParam} OR (${alias}.visibility <> 'private' AND (${liveProject(alias)} OR ${alias}.status = 'archived')))`;
+
+// Whether a viewer can see a profile field set to `visibility`, given
+// whether they are its owner and whether they follow the owner
+const canSeeField = (visibility, { isOwner, isFollower }) => {
+  return isOwner || visibility === 'public' || (visibility === 'followers' && isFollower);
+};
+
+module.exports = {
+  PROJECT_VISIBILITIES,
+  PROJECT_STATUSES,
+  PORTFOLIO_VISIBILITIES,
+  FIELD_VISIBILITIES,
+  liveProject,
+  publicProject,
+  listedProject,
+  viewableProject,
+  canSeeField
+};